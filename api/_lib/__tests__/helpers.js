@@ -0,0 +1,60 @@
+// Shared setup for the server tests: the API on a random port, backed by a
+// fresh in-memory store unless a test brings its own backend
+const { createApp } = require("../app");
+const { createMemoryBackend } = require("../storage/memory-store");
+
+// The server narrates every write on stdout, which the test runner reads
+// its results from; errors still go to stderr
+console.log = () => {};
+
+const startServer = async ({ backend = createMemoryBackend() } = {}) => {
+  const app = createApp({ backend });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, body } of a JSON request
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  // A new empty board; returns request() scoped to its routes
+  const openBoard = async (id) => {
+    const created = await request("POST", "/api/boards", { id });
+    if (created.status !== 201) {
+      throw new Error(`Could not create board ${id}: ${created.status}`);
+    }
+    return (method, path, body, headers) =>
+      request(method, `/api/boards/${id}${path}`, body, headers);
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { request, openBoard, close };
+};
+
+// A sticky note body for POST /board-items
+const sticky = (content, fields = {}) => ({
+  type: "sticky",
+  x: 0,
+  y: 0,
+  content,
+  ...fields,
+});
+
+module.exports = { startServer, sticky };
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer, sticky } = require("./helpers");
+const { createHistory, MAX_REPLACE_OPERATIONS } = require("../history");
+const { createLocks } = require("../locks");
+const { createMemoryStore } = require("../storage/memory-store");
+
+describe("undo and redo", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const itemIds = async (call) =>
+    (await call("GET", "/board-items")).body.map((item) => item.id);
+
+  it("reverts and reapplies the latest operation", async () => {
+    const call = await server.openBoard("undo-basic");
+    const created = await call("POST", "/board-items", sticky("first"));
+    await call("PUT", `/board-items/${created.body.id}`, { content: "edited" });
+
+    const undone = await call("POST", "/undo");
+    assert.strictEqual(undone.status, 200);
+    assert.strictEqual(undone.body.target.action, "update");
+    const reverted = await call("GET", `/board-items/${created.body.id}`);
+    assert.strictEqual(reverted.body.content, "first");
+
+    const redone = await call("POST", "/redo");
+    assert.strictEqual(redone.status, 200);
+    const reapplied = await call("GET", `/board-items/${created.body.id}`);
+    assert.strictEqual(reapplied.body.content, "edited");
+  });
+
+  it("only undoes the given actor's operations", async () => {
+    const call = await server.openBoard("undo-actor");
+    const mine = await call("POST", "/board-items", sticky("mine"), {
+      "X-Actor": "voice-agent",
+    });
+    const theirs = await call("POST", "/board-items", sticky("theirs"), {
+      "X-Actor": "canvas",
+    });
+
+    const undone = await call("POST", "/undo", { actor: "voice-agent" });
+    assert.strictEqual(undone.status, 200);
+    assert.deepStrictEqual(await itemIds(call), [theirs.body.id]);
+    assert.strictEqual(undone.body.target.actor, "voice-agent");
+    assert.strictEqual(undone.body.target.changes[0].itemId, mine.body.id);
+  });
+
+  it("refuses with 409 when the item changed since, unless forced", async () => {
+    const call = await server.openBoard("undo-conflict");
+    const created = await call("POST", "/board-items", sticky("a"));
+    await call("PUT", `/board-items/${created.body.id}`, { content: "b" });
+    await call("POST", "/undo");
+    await call("PUT", `/board-items/${created.body.id}`, { content: "c" });
+
+    // Redo of a -> b finds c
+    const refused = await call("POST", "/redo");
+    assert.strictEqual(refused.status, 409);
+    assert.deepStrictEqual(refused.body.conflicts, [created.body.id]);
+
+    const forced = await call("POST", "/redo", { force: true });
+    assert.strictEqual(forced.status, 200);
+    const item = await call("GET", `/board-items/${created.body.id}`);
+    assert.strictEqual(item.body.content, "b");
+  });
+
+  it("answers 404 when there is nothing to undo or redo", async () => {
+    const call = await server.openBoard("undo-empty");
+    assert.strictEqual((await call("POST", "/undo")).status, 404);
+    assert.strictEqual((await call("POST", "/redo")).status, 404);
+  });
+
+  it("keeps a bounded number of whole-board replacements", async () => {
+    const call = await server.openBoard("undo-replace");
+    const snapshot = await call("POST", "/snapshots", { label: "empty" });
+
+    for (let round = 0; round <= MAX_REPLACE_OPERATIONS; round += 1) {
+      await call("POST", "/board-items", sticky(`round ${round}`));
+      const restored = await call(
+        "POST",
+        `/snapshots/${snapshot.body.id}/restore`
+      );
+      assert.strictEqual(restored.status, 200);
+    }
+
+    const operations = (await call("GET", "/operations?limit=500")).body;
+    const replacements = operations.filter((op) => op.action === "replace");
+    assert.strictEqual(replacements.length, MAX_REPLACE_OPERATIONS);
+    // Nothing older than the oldest kept replacement is left to undo
+    assert.strictEqual(operations.length, 2 * MAX_REPLACE_OPERATIONS);
+  });
+});
+
+describe("concurrent undo", () => {
+  const empty = async () => [];
+  const events = { broadcast: () => {} };
+
+  // A board whose operation log answers slowly, so concurrent requests
+  // overlap while they look for their target
+  const createBoard = () => {
+    const store = createMemoryStore({ seed: empty });
+    const log = createMemoryStore({ seed: empty });
+    const slowLog = {
+      ...log,
+      listItems: async () => {
+        const operations = [...(await log.listItems())];
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return operations;
+      },
+    };
+    const locks = createLocks({
+      store: createMemoryStore({ seed: empty }),
+      events,
+    });
+    return {
+      store,
+      history: createHistory({ store, log: slowLog, events, locks }),
+    };
+  };
+
+  it("never picks the same operation twice", async () => {
+    const { store, history } = createBoard();
+    const recorder = history.recorder("test");
+    for (const id of ["one", "two", "three"]) {
+      await recorder.insertItem(sticky(id, { id }));
+    }
+
+    const results = await Promise.all([
+      history.undo({ actor: "a" }),
+      history.undo({ actor: "b" }),
+    ]);
+    assert.notStrictEqual(results[0].target.id, results[1].target.id);
+    const left = (await store.listItems()).map((item) => item.id);
+    assert.deepStrictEqual(left, ["one"]);
+
+    const redone = await Promise.all([
+      history.redo({ actor: "a" }),
+      history.redo({ actor: "b" }),
+    ]);
+    assert.notStrictEqual(redone[0].target.id, redone[1].target.id);
+    assert.strictEqual((await store.listItems()).length, 3);
+  });
+});
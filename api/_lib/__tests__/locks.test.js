@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer, sticky } = require("./helpers");
+const { createLocks } = require("../locks");
+const { createMemoryStore } = require("../storage/memory-store");
+
+describe("edit locks", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const as = (actor) => ({ "X-Actor": actor });
+
+  it("refuses other actors' writes while the lock is held", async () => {
+    const call = await server.openBoard("locks-held");
+    const item = (await call("POST", "/board-items", sticky("held"))).body;
+    const locked = await call(
+      "POST",
+      `/board-items/${item.id}/lock`,
+      {},
+      as("dr-lee")
+    );
+    assert.strictEqual(locked.status, 200);
+    assert.strictEqual(locked.body.holder, "dr-lee");
+
+    const refused = await call(
+      "PUT",
+      `/board-items/${item.id}`,
+      { content: "theirs" },
+      as("nurse-kim")
+    );
+    assert.strictEqual(refused.status, 423);
+    assert.strictEqual(refused.body.lock.holder, "dr-lee");
+    const deleted = await call(
+      "DELETE",
+      `/board-items/${item.id}`,
+      undefined,
+      as("nurse-kim")
+    );
+    assert.strictEqual(deleted.status, 423);
+
+    const own = await call(
+      "PUT",
+      `/board-items/${item.id}`,
+      { content: "mine" },
+      as("dr-lee")
+    );
+    assert.strictEqual(own.status, 200);
+  });
+
+  it("lets only one of two clients take a free item", async () => {
+    const call = await server.openBoard("locks-race");
+    const item = (await call("POST", "/board-items", sticky("free"))).body;
+
+    const results = await Promise.all(
+      ["dr-lee", "nurse-kim"].map((actor) =>
+        call("POST", `/board-items/${item.id}/lock`, {}, as(actor))
+      )
+    );
+    const statuses = results.map((result) => result.status).sort();
+    assert.deepStrictEqual(statuses, [200, 409]);
+    assert.strictEqual((await call("GET", "/locks")).body.length, 1);
+  });
+
+  it("frees the item on release, forced release and expiry", async () => {
+    const call = await server.openBoard("locks-release");
+    const item = (await call("POST", "/board-items", sticky("busy"))).body;
+    const lockPath = `/board-items/${item.id}/lock`;
+    const write = () =>
+      call(
+        "PUT",
+        `/board-items/${item.id}`,
+        { content: "next" },
+        as("nurse-kim")
+      );
+
+    await call("POST", lockPath, {}, as("dr-lee"));
+    assert.strictEqual(
+      (await call("DELETE", lockPath, undefined, as("nurse-kim"))).status,
+      403
+    );
+    assert.strictEqual(
+      (await call("DELETE", lockPath, undefined, as("dr-lee"))).status,
+      200
+    );
+    assert.strictEqual((await write()).status, 200);
+
+    await call("POST", lockPath, {}, as("dr-lee"));
+    const forced = await call(
+      "DELETE",
+      `${lockPath}?force=true`,
+      undefined,
+      as("nurse-kim")
+    );
+    assert.strictEqual(forced.status, 200);
+    assert.strictEqual((await write()).status, 200);
+
+    await call("POST", lockPath, { ttl: 1 }, as("dr-lee"));
+    assert.strictEqual((await write()).status, 423);
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.strictEqual((await write()).status, 200);
+  });
+
+  it("refuses undo of an operation on a locked item", async () => {
+    const call = await server.openBoard("locks-undo");
+    const item = (await call("POST", "/board-items", sticky("a"))).body;
+    await call("PUT", `/board-items/${item.id}`, { content: "b" });
+    await call("POST", `/board-items/${item.id}/lock`, {}, as("dr-lee"));
+
+    const undone = await call("POST", "/undo", {}, as("nurse-kim"));
+    assert.strictEqual(undone.status, 423);
+    const current = await call("GET", `/board-items/${item.id}`);
+    assert.strictEqual(current.body.content, "b");
+  });
+});
+
+describe("guarded writes", () => {
+  const empty = async () => [];
+
+  // Locks and a guarded item store whose writes take a while, so a lock
+  // request can arrive while one is under way
+  const createBoard = async () => {
+    const items = createMemoryStore({ seed: empty });
+    await items.insertItem(sticky("item", { id: "item" }));
+    const slowItems = {
+      ...items,
+      updateItem: async (id, updater) => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return items.updateItem(id, updater);
+      },
+    };
+    const locks = createLocks({
+      store: createMemoryStore({ seed: empty }),
+      events: { broadcast: () => {} },
+    });
+    return { items, locks, guarded: locks.guard(slowItems, "dr-lee") };
+  };
+
+  it("grants a lock only after a write already under way", async () => {
+    const { items, locks, guarded } = await createBoard();
+    const order = [];
+
+    await Promise.all([
+      guarded
+        .updateItem("item", (current) => ({ ...current, content: "written" }))
+        .then(() => order.push("write")),
+      locks.acquire("item", "nurse-kim").then(() => order.push("lock")),
+    ]);
+
+    assert.deepStrictEqual(order, ["write", "lock"]);
+    assert.strictEqual((await items.getItem("item")).content, "written");
+  });
+
+  it("refuses a write queued behind someone else's lock", async () => {
+    const { items, locks, guarded } = await createBoard();
+
+    const [, write] = await Promise.allSettled([
+      locks.acquire("item", "nurse-kim"),
+      guarded.updateItem("item", (current) => ({
+        ...current,
+        content: "written",
+      })),
+    ]);
+
+    assert.strictEqual(write.status, "rejected");
+    assert.strictEqual(write.reason.status, 423);
+    assert.strictEqual((await items.getItem("item")).content, "item");
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, sticky } = require("./helpers");
+const { createSqliteBackend } = require("../storage/sqlite-store");
+
+describe("SQLite storage", () => {
+  let directory;
+  let file;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "board-sqlite-"));
+    file = path.join(directory, "board.sqlite");
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const empty = async () => [];
+  const item = (id, fields = {}) => sticky(id, { id, ...fields });
+
+  it("keeps each board's items in order across reopening the file", async () => {
+    const first = createSqliteBackend({ file });
+    const a = first.createBoardStore("a", { seed: empty });
+    const b = first.createBoardStore("b", { seed: empty });
+    await a.insertItem(item("one"));
+    await a.insertItem(item("two"));
+    await b.insertItem(item("other"));
+
+    const reopened = createSqliteBackend({ file });
+    const ids = async (boardId) =>
+      (
+        await reopened.createBoardStore(boardId, { seed: empty }).listItems()
+      ).map((stored) => stored.id);
+    assert.deepStrictEqual(await ids("a"), ["one", "two"]);
+    assert.deepStrictEqual(await ids("b"), ["other"]);
+  });
+
+  it("seeds a board only once", async () => {
+    let seeded = 0;
+    const seed = async () => {
+      seeded += 1;
+      return [item("seeded")];
+    };
+    const backend = createSqliteBackend({ file });
+    await backend.createBoardStore("seeded", { seed }).listItems();
+    const store = createSqliteBackend({ file }).createBoardStore("seeded", {
+      seed,
+    });
+    await store.removeItem("seeded");
+
+    assert.deepStrictEqual(await store.listItems(), []);
+    assert.strictEqual(seeded, 1);
+  });
+
+  it("refuses an ID that is taken", async () => {
+    const store = createSqliteBackend({ file }).createBoardStore("dupes", {
+      seed: empty,
+    });
+    await store.insertItem(item("taken"));
+    await assert.rejects(store.insertItem(item("taken")), {
+      status: 409,
+      code: "DUPLICATE_ITEM",
+    });
+  });
+
+  it("reruns an updater when the row changed while it ran", async () => {
+    const backend = createSqliteBackend({ file });
+    const store = backend.createBoardStore("races", { seed: empty });
+    const other = createSqliteBackend({ file }).createBoardStore("races", {
+      seed: empty,
+    });
+    await store.insertItem(item("raced", { width: 100 }));
+
+    let calls = 0;
+    const updated = await store.updateItem("raced", async (current) => {
+      calls += 1;
+      // Another connection writes while the first attempt is running
+      if (calls === 1) {
+        await other.updateItem("raced", (row) => ({ ...row, height: 50 }));
+      }
+      return { ...current, width: current.width + 1 };
+    });
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(updated.width, 101);
+    assert.strictEqual(updated.height, 50);
+    assert.deepStrictEqual(await store.getItem("raced"), updated);
+  });
+
+  it("keeps an item when the removal check throws", async () => {
+    const store = createSqliteBackend({ file }).createBoardStore("checks", {
+      seed: empty,
+    });
+    await store.insertItem(item("kept"));
+    const refuse = () => {
+      throw Object.assign(new Error("Locked"), { status: 423 });
+    };
+
+    await assert.rejects(store.removeItem("kept", refuse), { status: 423 });
+    assert.ok(await store.getItem("kept"));
+    assert.strictEqual(await store.removeItem("missing"), null);
+  });
+
+  it("queries items by type, zone and update time", async () => {
+    const store = createSqliteBackend({ file }).createBoardStore("queries", {
+      seed: empty,
+    });
+    await store.replaceItems([
+      item("inside", { x: 10, y: 10, updatedAt: "2024-01-01T00:00:00.000Z" }),
+      item("outside", { x: 500, y: 10, updatedAt: "2024-06-01T00:00:00.000Z" }),
+      { id: "text", type: "text", x: 20, y: 20, content: "note" },
+    ]);
+    const ids = async (query) =>
+      (await store.queryItems(query)).map((stored) => stored.id);
+
+    assert.deepStrictEqual(await ids({ types: ["sticky"] }), [
+      "inside",
+      "outside",
+    ]);
+    assert.deepStrictEqual(
+      await ids({ zone: { x: 0, y: 0, width: 100, height: 100 } }),
+      ["inside", "text"]
+    );
+    assert.deepStrictEqual(
+      await ids({ updatedSince: "2024-03-01T00:00:00.000Z" }),
+      ["outside"]
+    );
+  });
+
+  it("keeps collections apart per board and name", async () => {
+    const backend = createSqliteBackend({ file });
+    await backend
+      .createCollectionStore("a", "operations")
+      .insertItem({ id: "op-1", action: "create" });
+
+    assert.strictEqual(
+      (await backend.createCollectionStore("b", "operations").listItems())
+        .length,
+      0
+    );
+    assert.strictEqual(
+      (await backend.createCollectionStore("a", "snapshots").listItems())
+        .length,
+      0
+    );
+    assert.throws(() => backend.createCollectionStore("a", "nope"));
+  });
+
+  it("serves the API from the database", async () => {
+    const server = await startServer({
+      backend: createSqliteBackend({ file }),
+    });
+    try {
+      const call = await server.openBoard("api");
+      const created = await call("POST", "/board-items", sticky("saved"));
+      assert.strictEqual(created.status, 201);
+
+      const stored = await createSqliteBackend({ file })
+        .createBoardStore("api", { seed: empty })
+        .getItem(created.body.id);
+      assert.strictEqual(stored.content, "saved");
+      assert.strictEqual(stored.version, created.body.version);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+describe("task dependencies", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const task = (id, fields = {}) => ({
+    id,
+    text: id,
+    status: "pending",
+    agent: "Lab Agent",
+    ...fields,
+  });
+  const createTodo = (call, title, todos) =>
+    call("POST", "/enhanced-todo", { title, todos });
+  const findTask = async (call, itemId, taskId) =>
+    (await call("GET", `/board-items/${itemId}`)).body.todoData.todos.find(
+      (candidate) => candidate.id === taskId
+    );
+  const setStatus = (call, itemId, taskId, status) =>
+    call("PATCH", `/enhanced-todo/${itemId}/tasks/${taskId}`, { status });
+
+  it("refuses unknown prerequisites, cycles and reused IDs", async () => {
+    const call = await server.openBoard("deps-invalid");
+    await createTodo(call, "Labs", [task("labs")]);
+
+    const unknown = await createTodo(call, "Review", [
+      task("review", { dependsOn: ["missing"] }),
+    ]);
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.errors[0].pointer, "/todos/0/dependsOn/0");
+
+    const cycle = await createTodo(call, "Cycle", [
+      task("a", { dependsOn: ["b"] }),
+      task("b", { dependsOn: ["a"] }),
+    ]);
+    assert.strictEqual(cycle.status, 400);
+
+    const reused = await createTodo(call, "Again", [task("labs")]);
+    assert.strictEqual(reused.status, 400);
+    assert.strictEqual(reused.body.errors[0].pointer, "/todos/0/id");
+  });
+
+  it("blocks a task until its prerequisites on other lists finish", async () => {
+    const call = await server.openBoard("deps-blocking");
+    const labs = (
+      await createTodo(call, "Labs", [task("pull-labs"), task("pull-imaging")])
+    ).body;
+    const review = (
+      await createTodo(call, "Review", [
+        task("review", { dependsOn: ["pull-labs", "pull-imaging"] }),
+      ])
+    ).body;
+
+    const blocked = review.todoData.todos[0];
+    assert.strictEqual(blocked.blocked, true);
+    assert.deepStrictEqual(blocked.blockedBy, ["pull-labs", "pull-imaging"]);
+    const early = await setStatus(call, review.id, "review", "executing");
+    assert.strictEqual(early.status, 409);
+
+    // The refusal names only the prerequisites still unfinished
+    for (const status of ["executing", "finished"]) {
+      await setStatus(call, labs.id, "pull-labs", status);
+    }
+    const waiting = await setStatus(call, review.id, "review", "executing");
+    assert.strictEqual(waiting.status, 409);
+    assert.deepStrictEqual(waiting.body.blockedBy, ["pull-imaging"]);
+
+    await setStatus(call, labs.id, "pull-imaging", "executing");
+    const last = await setStatus(call, labs.id, "pull-imaging", "finished");
+    assert.strictEqual(last.status, 200);
+    assert.deepStrictEqual(
+      last.body.unblocked.map((entry) => entry.taskId),
+      ["review"]
+    );
+
+    const unblocked = await findTask(call, review.id, "review");
+    assert.strictEqual(unblocked.blocked, false);
+    assert.strictEqual(
+      (await setStatus(call, review.id, "review", "executing")).status,
+      200
+    );
+  });
+
+  it("saves blocked flags without a new version or an undo entry", async () => {
+    const call = await server.openBoard("deps-versions");
+    const labs = (await createTodo(call, "Labs", [task("labs")])).body;
+    const review = (
+      await createTodo(call, "Review", [
+        task("review", { dependsOn: ["labs"] }),
+      ])
+    ).body;
+
+    await setStatus(call, labs.id, "labs", "executing");
+    await setStatus(call, labs.id, "labs", "finished");
+
+    const reread = await call("GET", `/board-items/${review.id}`);
+    assert.strictEqual(reread.body.todoData.todos[0].blocked, false);
+    assert.strictEqual(reread.body.version, review.version);
+    // The list was only ever logged when it was created
+    const logged = (await call("GET", "/operations")).body.filter((op) =>
+      op.changes.some((change) => change.itemId === review.id)
+    );
+    assert.deepStrictEqual(
+      logged.map((op) => op.action),
+      ["create"]
+    );
+  });
+
+  it("unblocks tasks whose prerequisite is deleted, and blocks them again on undo", async () => {
+    const call = await server.openBoard("deps-delete");
+    const labs = (await createTodo(call, "Labs", [task("labs")])).body;
+    const review = (
+      await createTodo(call, "Review", [
+        task("review", { dependsOn: ["labs"] }),
+      ])
+    ).body;
+
+    await call("DELETE", `/board-items/${labs.id}`);
+    assert.strictEqual(
+      (await findTask(call, review.id, "review")).blocked,
+      false
+    );
+
+    await call("POST", "/undo");
+    assert.strictEqual(
+      (await findTask(call, review.id, "review")).blocked,
+      true
+    );
+  });
+});
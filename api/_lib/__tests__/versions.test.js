@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer, sticky } = require("./helpers");
+
+describe("item versions and If-Match", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const ifMatch = (version) => ({ "If-Match": `"${version}"` });
+
+  it("sends the version as an ETag and bumps it on every write", async () => {
+    const call = await server.openBoard("versions-etag");
+    const created = await call("POST", "/board-items", sticky("v1"));
+    assert.strictEqual(created.body.version, 1);
+
+    const read = await call("GET", `/board-items/${created.body.id}`);
+    assert.strictEqual(read.headers.get("etag"), '"1"');
+
+    // A version in the body is ignored
+    const updated = await call("PUT", `/board-items/${created.body.id}`, {
+      content: "v2",
+      version: 40,
+    });
+    assert.strictEqual(updated.body.version, 2);
+    assert.strictEqual(updated.headers.get("etag"), '"2"');
+  });
+
+  it("refuses a stale If-Match with 409 and the current item", async () => {
+    const call = await server.openBoard("versions-stale");
+    const { id } = (await call("POST", "/board-items", sticky("start"))).body;
+    await call("PUT", `/board-items/${id}`, { content: "someone else" });
+
+    const stale = await call(
+      "PUT",
+      `/board-items/${id}`,
+      { content: "mine" },
+      ifMatch(1)
+    );
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.item.version, 2);
+    assert.strictEqual(stale.body.item.content, "someone else");
+
+    const staleDelete = await call(
+      "DELETE",
+      `/board-items/${id}`,
+      undefined,
+      ifMatch(1)
+    );
+    assert.strictEqual(staleDelete.status, 409);
+
+    const current = await call(
+      "PUT",
+      `/board-items/${id}`,
+      { content: "mine" },
+      ifMatch(2)
+    );
+    assert.strictEqual(current.status, 200);
+    assert.strictEqual(current.body.version, 3);
+
+    const any = await call(
+      "PUT",
+      `/board-items/${id}`,
+      { content: "whatever" },
+      { "If-Match": "*" }
+    );
+    assert.strictEqual(any.status, 200);
+  });
+
+  it("lets only one of two writes from the same version through", async () => {
+    const call = await server.openBoard("versions-race");
+    const { id } = (await call("POST", "/board-items", sticky("start"))).body;
+
+    const results = await Promise.all(
+      ["first", "second"].map((content) =>
+        call("PUT", `/board-items/${id}`, { content }, ifMatch(1))
+      )
+    );
+    const statuses = results.map((result) => result.status).sort();
+    assert.deepStrictEqual(statuses, [200, 409]);
+
+    const winner = results.find((result) => result.status === 200);
+    const stored = await call("GET", `/board-items/${id}`);
+    assert.strictEqual(stored.body.content, winner.body.content);
+    assert.strictEqual(stored.body.version, 2);
+  });
+
+  it("keeps versions going up through undo", async () => {
+    const call = await server.openBoard("versions-undo");
+    const { id } = (await call("POST", "/board-items", sticky("a"))).body;
+    await call("PUT", `/board-items/${id}`, { content: "b" });
+    await call("POST", "/undo");
+
+    const reverted = await call("GET", `/board-items/${id}`);
+    assert.strictEqual(reverted.body.content, "a");
+    assert.strictEqual(reverted.body.version, 3);
+    const stale = await call(
+      "PUT",
+      `/board-items/${id}`,
+      { content: "c" },
+      ifMatch(1)
+    );
+    assert.strictEqual(stale.status, 409);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+const { withLeaseExpiry } = require("../work-queue");
+const { createMemoryStore } = require("../storage/memory-store");
+
+describe("work queue leases", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const AGENT = "Lab Agent";
+  const task = (id, fields = {}) => ({
+    id,
+    text: id,
+    status: "pending",
+    agent: AGENT,
+    ...fields,
+  });
+  const createTodo = async (call, todos) =>
+    (await call("POST", "/enhanced-todo", { title: "Work", todos })).body;
+  const claim = (call, fields = {}) =>
+    call("POST", "/work/claim", { agent: AGENT, ...fields });
+  const findTask = async (call, itemId, taskId) =>
+    (await call("GET", `/board-items/${itemId}`)).body.todoData.todos.find(
+      (candidate) => candidate.id === taskId
+    );
+
+  it("leases a task to one claim only", async () => {
+    const call = await server.openBoard("work-claim");
+    const todo = await createTodo(call, [
+      task("pull-labs"),
+      task("other", { agent: "Imaging Agent" }),
+    ]);
+
+    const results = await Promise.all([claim(call), claim(call)]);
+    const statuses = results.map((result) => result.status).sort();
+    assert.deepStrictEqual(statuses, [200, 204]);
+
+    const claimed = results.find((result) => result.status === 200).body;
+    assert.strictEqual(claimed.taskId, "pull-labs");
+    const stored = await findTask(call, todo.id, "pull-labs");
+    assert.strictEqual(stored.status, "executing");
+    assert.strictEqual(stored.lease.id, claimed.leaseId);
+    assert.strictEqual(stored.lease.expiresAt, claimed.expiresAt);
+    assert.strictEqual(stored.attempts, 1);
+  });
+
+  it("finishes the task on complete and frees it on fail", async () => {
+    const call = await server.openBoard("work-complete");
+    const todo = await createTodo(call, [task("first"), task("second")]);
+
+    const first = (await claim(call)).body;
+    const completed = await call(
+      "POST",
+      `/work/leases/${first.leaseId}/complete`,
+      { result: "done" }
+    );
+    assert.strictEqual(completed.status, 200);
+    const finished = await findTask(call, todo.id, first.taskId);
+    assert.strictEqual(finished.status, "finished");
+    assert.strictEqual(finished.result, "done");
+    assert.strictEqual(finished.lease, undefined);
+    assert.strictEqual(
+      (await call("POST", `/work/leases/${first.leaseId}/complete`, {})).status,
+      404
+    );
+
+    const second = (await claim(call)).body;
+    await call("POST", `/work/leases/${second.leaseId}/fail`, {
+      error: "lab system down",
+    });
+    const failed = await findTask(call, todo.id, second.taskId);
+    assert.strictEqual(failed.status, "pending");
+    assert.strictEqual(failed.lastError, "lab system down");
+    assert.strictEqual((await claim(call)).body.taskId, second.taskId);
+  });
+
+  it("gives the task back when the lease runs out", async () => {
+    const call = await server.openBoard("work-expiry");
+    const todo = await createTodo(call, [task("slow")]);
+
+    const first = (await claim(call, { leaseSeconds: 1 })).body;
+    assert.strictEqual((await claim(call)).status, 204);
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    const expired = await findTask(call, todo.id, "slow");
+    assert.strictEqual(expired.status, "pending");
+    assert.strictEqual(expired.lease, undefined);
+    const renewed = await call("POST", `/work/leases/${first.leaseId}/renew`, {
+      leaseSeconds: 60,
+    });
+    assert.strictEqual(renewed.status, 404);
+
+    const second = await claim(call);
+    assert.strictEqual(second.status, 200);
+    assert.notStrictEqual(second.body.leaseId, first.leaseId);
+    assert.strictEqual(second.body.task.attempts, 2);
+    assert.strictEqual(
+      (await call("POST", `/work/leases/${first.leaseId}/complete`, {})).status,
+      404
+    );
+  });
+
+  it("keeps a renewed lease past its first expiry", async () => {
+    const call = await server.openBoard("work-renew");
+    const todo = await createTodo(call, [task("long")]);
+
+    const { leaseId } = (await claim(call, { leaseSeconds: 1 })).body;
+    const renewed = await call("POST", `/work/leases/${leaseId}/renew`, {
+      leaseSeconds: 60,
+    });
+    assert.strictEqual(renewed.status, 200);
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    const held = await findTask(call, todo.id, "long");
+    assert.strictEqual(held.status, "executing");
+    assert.strictEqual(held.lease.id, leaseId);
+  });
+});
+
+describe("lease expiry on read", () => {
+  const lease = (expiresAt) => ({
+    id: "lease-1",
+    agent: "Lab Agent",
+    claimedAt: "2024-01-01T00:00:00.000Z",
+    expiresAt,
+  });
+
+  it("reads tasks with a passed lease as pending, and saves them so", async () => {
+    const raw = createMemoryStore({ seed: async () => [] });
+    await raw.insertItem({
+      id: "todo",
+      type: "todo",
+      todoData: {
+        title: "Work",
+        todos: [
+          {
+            id: "late",
+            status: "executing",
+            lease: lease("2024-01-01T00:05:00.000Z"),
+          },
+          {
+            id: "live",
+            status: "executing",
+            lease: lease("2999-01-01T00:00:00.000Z"),
+          },
+        ],
+      },
+    });
+    const store = withLeaseExpiry(raw);
+
+    const statuses = (item) =>
+      item.todoData.todos.map((todo) => [
+        todo.id,
+        todo.status,
+        Boolean(todo.lease),
+      ]);
+    const expected = [
+      ["late", "pending", false],
+      ["live", "executing", true],
+    ];
+    assert.deepStrictEqual(statuses(await store.getItem("todo")), expected);
+    assert.deepStrictEqual(statuses((await store.listItems())[0]), expected);
+    // The raw store still has the lease until the next write
+    assert.ok((await raw.getItem("todo")).todoData.todos[0].lease);
+
+    await store.updateItem("todo", (current) => ({ ...current, x: 10 }));
+    assert.deepStrictEqual(statuses(await raw.getItem("todo")), expected);
+  });
+});
@@ -0,0 +1,172 @@
+// Outgoing calls to agents registered in callback mode.
+//
+// A callbackUrl is registered by whoever calls the API, so the server only
+// calls URLs it has been told it may:
+//   - http or https, without credentials in the URL
+//   - with AGENT_CALLBACK_HOSTS (comma-separated host names) set, only those
+//     hosts, which may then be on a private network (agents running next to
+//     the server)
+//   - otherwise any host, as long as every address it connects to is public:
+//     loopback, private, link-local (cloud metadata), CGNAT and multicast
+//     addresses are refused, checked on the address actually dialled so a
+//     DNS answer can't switch to one after registration
+//
+// Every body is signed with AGENT_CALLBACK_SECRET as an HMAC-SHA256 in
+// X-Board-Signature ("sha256=<hex>"), so agents can tell the board's calls
+// from anyone else's. Without the secret, callback mode is refused.
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const CALLBACK_TIMEOUT_MS = 5000;
+const SIGNATURE_HEADER = "X-Board-Signature";
+
+// Addresses a callback may not reach unless its host is allowlisted.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+const callbackError = (message) =>
+  Object.assign(new Error(message), { status: 400 });
+
+const allowedHosts = () =>
+  (process.env.AGENT_CALLBACK_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+const callbackSecret = () => process.env.AGENT_CALLBACK_SECRET || "";
+
+// "[::1]" -> "::1"
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+const isPrivateAddress = (address) =>
+  PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Problem with a callbackUrl as a message, or null if the server may call it
+const callbackUrlProblem = (callbackUrl) => {
+  if (!callbackSecret()) {
+    return "Callback mode is disabled: the server has no AGENT_CALLBACK_SECRET";
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    return "callbackUrl is not a valid URL";
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return "callbackUrl must be an http or https URL";
+  }
+  if (url.username || url.password) {
+    return "callbackUrl must not contain credentials";
+  }
+
+  const host = hostOf(url);
+  const allowed = allowedHosts();
+  if (allowed.length > 0) {
+    return allowed.includes(host)
+      ? null
+      : `callbackUrl host ${host} is not in AGENT_CALLBACK_HOSTS`;
+  }
+  if (host === "localhost" || (net.isIP(host) && isPrivateAddress(host))) {
+    return `callbackUrl host ${host} is a private address`;
+  }
+  return null;
+};
+
+// Throws 400 unless the server may call `callbackUrl`
+const assertCallbackUrl = (callbackUrl) => {
+  const problem = callbackUrlProblem(callbackUrl);
+  if (problem) throw callbackError(problem);
+};
+
+// dns.lookup that only answers with public addresses
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const usable = addresses.filter(
+      ({ address }) => !isPrivateAddress(address)
+    );
+    if (usable.length === 0) {
+      return callback(
+        Object.assign(new Error(`${hostname} resolves to a private address`), {
+          code: "EPRIVATEADDRESS",
+        })
+      );
+    }
+    if (options.all) return callback(null, usable);
+    callback(null, usable[0].address, usable[0].family);
+  });
+};
+
+const sign = (payload) =>
+  `sha256=${crypto
+    .createHmac("sha256", callbackSecret())
+    .update(payload)
+    .digest("hex")}`;
+
+// POST `body` as signed JSON to `callbackUrl`. Resolves to the response
+// status; rejects when the URL isn't allowed or the request fails.
+const postCallback = (callbackUrl, body) =>
+  new Promise((resolve, reject) => {
+    const problem = callbackUrlProblem(callbackUrl);
+    if (problem) return reject(callbackError(problem));
+
+    const url = new URL(callbackUrl);
+    const payload = JSON.stringify(body);
+    const request = (url.protocol === "https:" ? https : http).request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          [SIGNATURE_HEADER]: sign(payload),
+        },
+        // Allowlisted hosts may be private; the others are checked on the
+        // address actually dialled
+        ...(allowedHosts().length > 0 ? {} : { lookup: publicLookup }),
+        timeout: CALLBACK_TIMEOUT_MS,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error("Callback timed out"))
+    );
+    request.on("error", reject);
+    request.end(payload);
+  });
+
+module.exports = {
+  assertCallbackUrl,
+  postCallback,
+  SIGNATURE_HEADER,
+};
@@ -0,0 +1,340 @@
+// Agent registry - the agents that work on the tasks of a board's todo lists.
+//
+// Agents register a name, their capabilities and how they get work: "poll"
+// (they ask for it) or "callback" (the board calls their callbackUrl when
+// there is work for them, see work-queue.js; agent-callbacks.js decides which
+// URLs it may call). The name doubles as the key
+// tasks use in their `agent` field, compared as a slug ("Lab Analysis Agent"
+// and "lab-analysis-agent" are the same agent).
+//
+// Unlike presence entries, registrations are kept when an agent goes quiet:
+// an agent is online while it sends heartbeats and offline once none arrived
+// for AGENT_TTL_MS. Registrations, status changes and removals are board
+// events ("agent-registered", "agent-status", "agent-unregistered"), and the
+// registry is shown on the board as an agent item (REGISTRY_ITEM_ID).
+//
+// Tasks naming an agent that isn't registered are flagged with
+// `unknownAgent: true`, or refused when UNKNOWN_AGENTS=reject.
+const { findTaskZonePosition } = require("./layout");
+const { assertCallbackUrl } = require("./agent-callbacks");
+
+const AGENT_TTL_MS = 90000;
+const SWEEP_INTERVAL_MS = 15000;
+const AGENT_MODES = ["poll", "callback"];
+const REGISTRY_ITEM_ID = "agent-registry";
+const REGISTRY_ITEM_WIDTH = 520;
+
+// "Lab Analysis Agent" -> "lab-analysis-agent"
+const agentId = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// How unknown agents on new tasks are handled: "flag" (default) or "reject"
+const unknownAgentPolicy = () =>
+  process.env.UNKNOWN_AGENTS === "reject" ? "reject" : "flag";
+
+// Whether a task names an agent that isn't in `knownIds`; tasks without an
+// agent are nobody's
+const hasUnknownAgent = (task, knownIds) =>
+  Boolean(task.agent) && !knownIds.has(agentId(task.agent));
+
+// The item with unknownAgent set on every task whose agent isn't in
+// `knownIds`, and cleared on the others. Other items are returned as they
+// are.
+const flagUnknownAgents = (item, knownIds) => {
+  if (item.type !== "todo") return item;
+  return {
+    ...item,
+    todoData: {
+      ...item.todoData,
+      todos: item.todoData.todos.map(({ unknownAgent, ...task }) =>
+        hasUnknownAgent(task, knownIds) ? { ...task, unknownAgent: true } : task
+      ),
+    },
+  };
+};
+
+// The unknownAgent flag of each task, to tell whether flagging changes a list
+const unknownAgentFlags = (item) =>
+  item.todoData.todos.map((task) => Boolean(task.unknownAgent)).join();
+
+const statusIcon = (agent) => (agent.status === "online" ? "🟢" : "⚪");
+
+// Markdown for the registry item
+const describeRegistry = (agents) => {
+  if (agents.length === 0) return "No agents registered.";
+  return agents
+    .map(
+      (agent) =>
+        `- ${statusIcon(agent)} **${agent.name}** (${agent.mode}, ${
+          agent.status
+        })${
+          agent.capabilities.length > 0
+            ? ` - ${agent.capabilities.join(", ")}`
+            : ""
+        }`
+    )
+    .join("\n");
+};
+
+// `store` holds the registrations; `items` is the board's item store, used
+// for the registry item and the unknownAgent flags
+const createAgentRegistry = ({ store, items, events }) => {
+  let sweeper = null;
+
+  const isStale = (agent, now = Date.now()) =>
+    now - Date.parse(agent.lastHeartbeat) > AGENT_TTL_MS;
+
+  const announce = (event, agent, details = {}) =>
+    events.broadcast({
+      event,
+      agentId: agent.id,
+      agent,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+
+  // Create or update the registry item so it lists `agents`
+  const syncRegistryItem = async (agents) => {
+    const markdown = describeRegistry(agents);
+    const height = Math.min(120 + agents.length * 28, 800);
+    const now = new Date().toISOString();
+
+    const updated = await items.updateItem(REGISTRY_ITEM_ID, (item) => ({
+      ...item,
+      height,
+      content: markdown,
+      agentData: { ...item.agentData, markdown },
+      updatedAt: now,
+    }));
+    if (updated || agents.length === 0) return;
+
+    const position = findTaskZonePosition(
+      { type: "agent", width: REGISTRY_ITEM_WIDTH, height },
+      await items.listItems()
+    );
+    await items.insertItem({
+      id: REGISTRY_ITEM_ID,
+      type: "agent",
+      x: position.x,
+      y: position.y,
+      width: REGISTRY_ITEM_WIDTH,
+      height,
+      content: markdown,
+      color: "#ffffff",
+      rotation: 0,
+      agentData: { title: "Agent Registry", markdown },
+      createdAt: now,
+      updatedAt: now,
+    });
+  };
+
+  // Recompute unknownAgent flags on every todo list of the board. Only lists
+  // whose flags change are saved, and like blocked flags the saves keep the
+  // item version.
+  const syncTaskFlags = async (agents) => {
+    const knownIds = new Set(agents.map((agent) => agent.id));
+    for (const item of await items.queryItems({ types: ["todo"] })) {
+      const flagged = flagUnknownAgents(item, knownIds);
+      if (unknownAgentFlags(flagged) === unknownAgentFlags(item)) continue;
+      await items.updateItem(
+        item.id,
+        (current) => flagUnknownAgents(current, knownIds),
+        { bumpVersion: false }
+      );
+    }
+  };
+
+  // Keep the board in step with the registry; a failure here doesn't undo
+  // the registry change
+  const syncBoard = async ({ flags = false } = {}) => {
+    try {
+      const agents = await store.listItems();
+      await syncRegistryItem(agents);
+      if (flags) await syncTaskFlags(agents);
+    } catch (error) {
+      console.error("Error updating the board from the agent registry:", error);
+    }
+  };
+
+  const setStatus = async (id, status, reason) => {
+    const agent = await store.updateItem(id, (current) => ({
+      ...current,
+      status,
+      statusChangedAt: new Date().toISOString(),
+    }));
+    if (agent) await announce("agent-status", agent, { reason });
+    return agent;
+  };
+
+  // Mark agents whose heartbeats stopped as offline
+  const sweep = async () => {
+    const now = Date.now();
+    const stale = (await store.listItems()).filter(
+      (agent) => agent.status === "online" && isStale(agent, now)
+    );
+    for (const agent of stale) {
+      await setStatus(agent.id, "offline", "timeout");
+      console.log(`💤 Agent ${agent.name} went offline`);
+    }
+    if (stale.length > 0) await syncBoard();
+  };
+
+  const ensureSweeper = () => {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      sweep().catch((error) =>
+        console.error("Error checking agent heartbeats:", error)
+      );
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  };
+
+  const list = async () => {
+    await sweep();
+    return store.listItems();
+  };
+
+  const get = async (id) => {
+    await sweep();
+    return store.getItem(agentId(id));
+  };
+
+  // Register an agent, or update its registration if the name is taken.
+  // Returns { agent, created }.
+  const register = async ({
+    name,
+    description = "",
+    capabilities = [],
+    mode = "poll",
+    callbackUrl,
+  }) => {
+    if (mode === "callback") assertCallbackUrl(callbackUrl);
+    const id = agentId(name);
+    const now = new Date().toISOString();
+    const fields = {
+      name: name.trim(),
+      description,
+      capabilities,
+      mode,
+      // Dropped when an agent switches to polling
+      callbackUrl: mode === "callback" ? callbackUrl : undefined,
+      status: "online",
+      lastHeartbeat: now,
+    };
+
+    const existing = await store.getItem(id);
+    const agent = existing
+      ? await store.updateItem(id, (current) => ({
+          ...current,
+          ...fields,
+          statusChangedAt:
+            current.status === "online" ? current.statusChangedAt : now,
+        }))
+      : await store.insertItem({
+          id,
+          ...fields,
+          registeredAt: now,
+          statusChangedAt: now,
+        });
+
+    await announce("agent-registered", agent, {
+      reason: existing ? "updated" : "registered",
+    });
+    await syncBoard({ flags: !existing });
+    ensureSweeper();
+
+    console.log(
+      `🤖 ${existing ? "Updated" : "Registered"} agent ${agent.name} (${
+        agent.mode
+      })`
+    );
+    return { agent, created: !existing };
+  };
+
+  // Heartbeat: keep the agent online, bringing it back if it was offline
+  const heartbeat = async (id) => {
+    const current = await store.getItem(agentId(id));
+    if (!current) return null;
+
+    const agent = await store.updateItem(current.id, (stored) => ({
+      ...stored,
+      lastHeartbeat: new Date().toISOString(),
+    }));
+    if (current.status === "online") return agent;
+
+    const back = await setStatus(current.id, "online", "heartbeat");
+    await syncBoard();
+    console.log(`🟢 Agent ${back.name} is back online`);
+    return back;
+  };
+
+  const unregister = async (id) => {
+    const agent = await store.removeItem(agentId(id));
+    if (agent) {
+      await announce("agent-unregistered", agent);
+      await syncBoard({ flags: true });
+      console.log(`🗑️  Unregistered agent ${agent.name}`);
+    }
+    return agent;
+  };
+
+  // unknownAgent flags for the tasks of a new todo list, or { errors } when
+  // they are refused (UNKNOWN_AGENTS=reject). Error pointers start with
+  // `field`, the body field the tasks came in.
+  const checkTasks = async (todos, field = "todos") => {
+    const knownIds = new Set(
+      (await store.listItems()).map((agent) => agent.id)
+    );
+    const unknown = todos
+      .map((todo, index) => ({ todo, index }))
+      .filter(({ todo }) => hasUnknownAgent(todo, knownIds));
+
+    if (unknown.length > 0 && unknownAgentPolicy() === "reject") {
+      return {
+        errors: unknown.map(({ todo, index }) => ({
+          pointer: `/${field}/${index}/agent`,
+          message: `${todo.agent} is not a registered agent`,
+          keyword: "agent",
+        })),
+      };
+    }
+    return {
+      todos: todos.map((todo) =>
+        hasUnknownAgent(todo, knownIds) ? { ...todo, unknownAgent: true } : todo
+      ),
+    };
+  };
+
+  const close = () => {
+    if (sweeper) clearInterval(sweeper);
+    sweeper = null;
+  };
+
+  // Forget every agent (used when the board is deleted)
+  const destroy = async () => {
+    close();
+    await store.destroy();
+  };
+
+  return {
+    list,
+    get,
+    register,
+    heartbeat,
+    unregister,
+    checkTasks,
+    close,
+    destroy,
+  };
+};
+
+module.exports = {
+  createAgentRegistry,
+  agentId,
+  AGENT_MODES,
+  AGENT_TTL_MS,
+  REGISTRY_ITEM_ID,
+};
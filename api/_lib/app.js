@@ -0,0 +1,34 @@
+// Express app factory shared by server.js, server-redis.js and server-vercel.js
+const express = require("express");
+const cors = require("cors");
+const { createBoardManager } = require("./boards");
+const { createBoardsRouter } = require("./boards-routes");
+const { createBoardRouter } = require("./routes");
+const { getOpenApiDocument } = require("./openapi");
+
+const createApp = ({ backend, syncSourceHeights = false }) => {
+  const app = express();
+
+  // Middleware
+  // Let browsers read ETag for If-Match (optimistic concurrency)
+  app.use(cors({ exposedHeaders: ["ETag"] }));
+  // Board bundles (POST /api/import) are larger than the 100kb default
+  app.use(express.json({ limit: "5mb" }));
+
+  const boards = createBoardManager({ backend });
+  // The WebSocket collaboration channel attaches to the same boards
+  app.locals.boards = boards;
+  const boardRouter = createBoardRouter({ boards, syncSourceHeights });
+
+  // Machine-readable API contract
+  app.get("/api/openapi.json", (req, res) => res.json(getOpenApiDocument()));
+
+  // Board management, then per-board routes, then the default board
+  app.use("/api/boards", createBoardsRouter({ boards }));
+  app.use("/api/boards/:boardId", boardRouter);
+  app.use("/api", boardRouter);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,66 @@
+// Board management routes: /api/boards
+const express = require("express");
+const { validateBody } = require("./request-schemas");
+
+const createBoardsRouter = ({ boards }) => {
+  const router = express.Router();
+
+  // GET /api/boards - List every board
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await boards.listBoards());
+    } catch (error) {
+      console.error("Error listing boards:", error);
+      res.status(500).json({ error: "Failed to list boards" });
+    }
+  });
+
+  // POST /api/boards - Create a board ({ id?, name?, description?, seed? })
+  router.post("/", validateBody("createBoard"), async (req, res) => {
+    try {
+      const board = await boards.createBoard(req.body || {});
+      res.status(201).json(board);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error creating board:", error);
+      res.status(500).json({ error: "Failed to create board" });
+    }
+  });
+
+  // GET /api/boards/:boardId - Board metadata
+  router.get("/:boardId", async (req, res) => {
+    try {
+      const board = await boards.getBoard(req.params.boardId);
+      if (!board) {
+        return res.status(404).json({ error: "Board not found" });
+      }
+      res.json(board);
+    } catch (error) {
+      console.error("Error loading board:", error);
+      res.status(500).json({ error: "Failed to load board" });
+    }
+  });
+
+  // DELETE /api/boards/:boardId - Delete a board and all of its items
+  router.delete("/:boardId", async (req, res) => {
+    try {
+      const board = await boards.deleteBoard(req.params.boardId);
+      if (!board) {
+        return res.status(404).json({ error: "Board not found" });
+      }
+      res.json({ message: "Board deleted successfully", board });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error deleting board:", error);
+      res.status(500).json({ error: "Failed to delete board" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createBoardsRouter };
@@ -0,0 +1,204 @@
+// Board registry - each board (patient case, meeting, ...) gets its own item
+// store and its own SSE stream. The default board always exists and backs
+// the unprefixed /api routes.
+const { createEventHub } = require("./sse");
+const { createEventBus } = require("./event-bus");
+const { createHistory } = require("./history");
+const { createPresence } = require("./presence");
+const { createLocks } = require("./locks");
+const { createAgentRegistry } = require("./agents");
+const { createWorkQueue, withLeaseExpiry } = require("./work-queue");
+const { loadSeedItems } = require("./storage/source-data");
+const { withMigrations } = require("./storage/migrations");
+const { withVersions } = require("./storage/versions");
+const { withValidation } = require("./storage/schemas");
+
+const DEFAULT_BOARD_ID = "default";
+const BOARD_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const BOARD_SEEDS = ["empty", "source"];
+
+const DEFAULT_BOARD = {
+  id: DEFAULT_BOARD_ID,
+  name: "Default board",
+  description: "Board served by the unprefixed /api routes",
+};
+
+// Errors the routes turn into a response with the given status
+const boardError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const createBoardManager = ({ backend, bus = createEventBus() }) => {
+  const registry = backend.createRegistryStore();
+  const openBoards = new Map();
+
+  // Store and event stream for a board, opened lazily
+  const attach = (boardId) => {
+    if (!openBoards.has(boardId)) {
+      const isDefault = boardId === DEFAULT_BOARD_ID;
+      // Items are upgraded to the current schema on load, whatever the
+      // backend, every write is checked against the item schemas and every
+      // write bumps the item's version. Work-queue leases run out as items
+      // are read.
+      const store = withLeaseExpiry(
+        withVersions(
+          withValidation(
+            withMigrations(
+              backend.createBoardStore(boardId, {
+                isDefault,
+                // Only the default board starts from the bundled source data
+                seed: isDefault ? loadSeedItems : async () => [],
+              })
+            )
+          )
+        )
+      );
+      const operations = backend.createCollectionStore(boardId, "operations", {
+        isDefault,
+      });
+      const snapshots = backend.createCollectionStore(boardId, "snapshots", {
+        isDefault,
+      });
+      const presence = backend.createCollectionStore(boardId, "presence", {
+        isDefault,
+      });
+      const locks = backend.createCollectionStore(boardId, "locks", {
+        isDefault,
+      });
+      const agents = backend.createCollectionStore(boardId, "agents", {
+        isDefault,
+      });
+      const events = createEventHub({ boardId, bus });
+      const itemLocks = createLocks({ store: locks, events });
+      const history = createHistory({
+        store,
+        log: operations,
+        events,
+        locks: itemLocks,
+      });
+      // The registry keeps its board item up to date under its own name,
+      // outside the undo history
+      const agentRegistry = createAgentRegistry({
+        store: agents,
+        items: history.recorder("agent-registry", { undoable: false }),
+        events,
+      });
+
+      openBoards.set(boardId, {
+        id: boardId,
+        store,
+        operations,
+        snapshots,
+        events,
+        history,
+        presence: createPresence({ store: presence, events }),
+        locks: itemLocks,
+        agents: agentRegistry,
+        work: createWorkQueue({
+          boardId,
+          history,
+          events,
+          agents: agentRegistry,
+        }),
+      });
+    }
+    return openBoards.get(boardId);
+  };
+
+  const getBoard = async (boardId) => {
+    if (boardId === DEFAULT_BOARD_ID) return DEFAULT_BOARD;
+    return registry.getItem(boardId);
+  };
+
+  // Board context ({ id, store, operations, snapshots, events, history,
+  // presence, locks, agents, work }), or null if the board doesn't exist
+  const open = async (boardId) =>
+    (await getBoard(boardId)) ? attach(boardId) : null;
+
+  const listBoards = async () => [
+    DEFAULT_BOARD,
+    ...(await registry.listItems()),
+  ];
+
+  // seed: "empty" (default) or "source" to start from src/data/boardItems.json
+  const createBoard = async ({ id, name, description, seed = "empty" }) => {
+    const boardId =
+      id || `board-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+    if (!BOARD_ID_PATTERN.test(boardId)) {
+      throw boardError(
+        400,
+        "Board id must be 1-64 letters, digits, '-' or '_' and start with a letter or digit"
+      );
+    }
+    if (!BOARD_SEEDS.includes(seed)) {
+      throw boardError(400, `seed must be one of: ${BOARD_SEEDS.join(", ")}`);
+    }
+    if (await getBoard(boardId)) {
+      throw boardError(409, `Board ${boardId} already exists`);
+    }
+
+    const record = {
+      id: boardId,
+      name: name || boardId,
+      description: description || "",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    await registry.insertItem(record);
+
+    const board = attach(boardId);
+    await board.store.replaceItems(
+      seed === "source" ? await loadSeedItems() : []
+    );
+
+    console.log(`🆕 Created board ${boardId} (${seed})`);
+    return record;
+  };
+
+  const deleteBoard = async (boardId) => {
+    if (boardId === DEFAULT_BOARD_ID) {
+      throw boardError(400, "The default board cannot be deleted");
+    }
+
+    const record = await registry.getItem(boardId);
+    if (!record) return null;
+
+    const board = attach(boardId);
+    await board.store.destroy();
+    await board.operations.destroy();
+    await board.snapshots.destroy();
+    await board.presence.destroy();
+    await board.locks.destroy();
+    await board.agents.destroy();
+    board.work.close();
+    await registry.removeItem(boardId);
+
+    // Tell anyone still watching, then drop their streams
+    await board.events.broadcast({
+      event: "board-deleted",
+      boardId,
+      timestamp: new Date().toISOString(),
+    });
+    board.events.close();
+    openBoards.delete(boardId);
+
+    console.log(`🗑️  Deleted board ${boardId}`);
+    return record;
+  };
+
+  return {
+    backend,
+    open,
+    getBoard,
+    listBoards,
+    createBoard,
+    deleteBoard,
+  };
+};
+
+module.exports = {
+  createBoardManager,
+  DEFAULT_BOARD_ID,
+  BOARD_ID_PATTERN,
+  BOARD_SEEDS,
+};
@@ -0,0 +1,233 @@
+// Board export/import bundles - a self-describing JSON document used to move
+// a board between server variants (file, Redis, demo deployments).
+const { TASK_ZONE } = require("./layout");
+const zoneConfig = require("../../src/data/zone-config.json");
+
+const BUNDLE_FORMAT = "canvas-board-bundle";
+const BUNDLE_SCHEMA_VERSION = 1;
+
+const IMPORT_MODES = ["replace", "merge"];
+const CONFLICT_STRATEGIES = ["rename", "skip", "overwrite"];
+
+const createExportBundle = ({ board, items, storage }) => ({
+  format: BUNDLE_FORMAT,
+  schemaVersion: BUNDLE_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  board: {
+    id: board.id,
+    name: board.name,
+    description: board.description || "",
+  },
+  // The Task Zone plus the canvas zones and their settings
+  zones: { taskZone: TASK_ZONE, ...zoneConfig },
+  metadata: {
+    itemCount: items.length,
+    storage,
+  },
+  items,
+});
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const taskIdsOf = (item) =>
+  item.type === "todo" && item.todoData && Array.isArray(item.todoData.todos)
+    ? item.todoData.todos
+        .filter((task) => task && task.id)
+        .map((task) => task.id)
+    : [];
+
+// Problems that make a bundle unusable, as a list of messages (empty if valid).
+// Task IDs are unique per board: merging renames clashes, but a bundle that
+// replaces the board must not repeat one.
+const validateBundle = (bundle, mode = "merge") => {
+  if (!isPlainObject(bundle)) return ["bundle must be a JSON object"];
+
+  const errors = [];
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.push(`format must be "${BUNDLE_FORMAT}"`);
+  }
+  if (
+    !Number.isInteger(bundle.schemaVersion) ||
+    bundle.schemaVersion < 1 ||
+    bundle.schemaVersion > BUNDLE_SCHEMA_VERSION
+  ) {
+    errors.push(
+      `schemaVersion must be an integer from 1 to ${BUNDLE_SCHEMA_VERSION}`
+    );
+  }
+  if (!Array.isArray(bundle.items)) {
+    errors.push("items must be an array");
+    return errors;
+  }
+
+  const seen = new Set();
+  bundle.items.forEach((item, index) => {
+    if (!isPlainObject(item)) {
+      errors.push(`items[${index}] must be an object`);
+      return;
+    }
+    if (typeof item.id !== "string" || !item.id) {
+      errors.push(`items[${index}].id must be a non-empty string`);
+    } else if (seen.has(item.id)) {
+      errors.push(`items[${index}].id "${item.id}" appears more than once`);
+    } else {
+      seen.add(item.id);
+    }
+    if (typeof item.type !== "string" || !item.type) {
+      errors.push(`items[${index}].type must be a non-empty string`);
+    }
+    ["x", "y"].forEach((field) => {
+      if (!Number.isFinite(item[field])) {
+        errors.push(`items[${index}].${field} must be a number`);
+      }
+    });
+  });
+
+  if (mode === "replace") {
+    const seenTasks = new Set();
+    bundle.items.forEach((item, index) => {
+      if (!isPlainObject(item)) return;
+      taskIdsOf(item).forEach((taskId) => {
+        if (seenTasks.has(taskId)) {
+          errors.push(
+            `task ID "${taskId}" in items[${index}] appears more than once`
+          );
+        }
+        seenTasks.add(taskId);
+      });
+    });
+  }
+  return errors;
+};
+
+// Warnings worth surfacing to whoever imports the bundle
+const describeBundleDifferences = (bundle) => {
+  const warnings = [];
+  const taskZone = bundle.zones && bundle.zones.taskZone;
+  if (taskZone && JSON.stringify(taskZone) !== JSON.stringify(TASK_ZONE)) {
+    warnings.push(
+      "Bundle was exported with a different Task Zone; items keep their coordinates"
+    );
+  }
+  const zones = bundle.zones && bundle.zones.zones;
+  if (zones && JSON.stringify(zones) !== JSON.stringify(zoneConfig.zones)) {
+    warnings.push(
+      "Bundle was exported with different canvas zones; items keep their coordinates"
+    );
+  }
+  return warnings;
+};
+
+// Fresh ID for an imported item whose ID is already taken
+const renameId = (id, taken) => {
+  let candidate;
+  do {
+    candidate = `${id}-import-${Math.random().toString(36).substr(2, 6)}`;
+  } while (taken.has(candidate));
+  return candidate;
+};
+
+// Task IDs are unique per board, so imported todo tasks whose ID is already
+// used by a task on the board get a fresh one, and dependsOn/blockedBy of
+// the imported items follow. Returns the items and the renamed task IDs.
+const renameTaskIds = (items, imported) => {
+  const taken = new Set(
+    items.filter((item) => !imported.has(item)).flatMap(taskIdsOf)
+  );
+  const renamed = new Map();
+
+  const withIds = items.map((item) => {
+    if (!imported.has(item) || taskIdsOf(item).length === 0) return item;
+    return {
+      ...item,
+      todoData: {
+        ...item.todoData,
+        todos: item.todoData.todos.map((task) => {
+          if (!task || !task.id) return task;
+          if (!taken.has(task.id)) {
+            taken.add(task.id);
+            return task;
+          }
+          const id = renameId(task.id, taken);
+          taken.add(id);
+          renamed.set(task.id, id);
+          return { ...task, id };
+        }),
+      },
+    };
+  });
+  if (renamed.size === 0) return { items, renamedTasks: [] };
+
+  const remap = (ids) => ids && ids.map((id) => renamed.get(id) || id);
+  return {
+    items: withIds.map((item, index) =>
+      imported.has(items[index]) && taskIdsOf(item).length > 0
+        ? {
+            ...item,
+            todoData: {
+              ...item.todoData,
+              todos: item.todoData.todos.map((task) =>
+                task && (task.dependsOn || task.blockedBy)
+                  ? {
+                      ...task,
+                      dependsOn: remap(task.dependsOn),
+                      blockedBy: remap(task.blockedBy),
+                    }
+                  : task
+              ),
+            },
+          }
+        : item
+    ),
+    renamedTasks: [...renamed].map(([from, to]) => ({ from, to })),
+  };
+};
+
+// Merge incoming items into the existing board. On an ID collision the
+// incoming item is renamed (default, and counted as added), skipped, or
+// overwrites the existing one.
+// Task IDs that collide are renamed whatever the strategy.
+const mergeItems = (existingItems, incomingItems, onConflict = "rename") => {
+  const items = [...existingItems];
+  const indexById = new Map(items.map((item, index) => [item.id, index]));
+  const taken = new Set(indexById.keys());
+  const imported = new Set();
+  const report = { added: 0, renamed: [], skipped: [], overwritten: [] };
+
+  for (const item of incomingItems) {
+    if (!indexById.has(item.id)) {
+      items.push(item);
+      imported.add(item);
+      taken.add(item.id);
+      report.added++;
+    } else if (onConflict === "skip") {
+      report.skipped.push(item.id);
+    } else if (onConflict === "overwrite") {
+      items[indexById.get(item.id)] = item;
+      imported.add(item);
+      report.overwritten.push(item.id);
+    } else {
+      const renamed = { ...item, id: renameId(item.id, taken) };
+      items.push(renamed);
+      imported.add(renamed);
+      taken.add(renamed.id);
+      report.added++;
+      report.renamed.push({ from: item.id, to: renamed.id });
+    }
+  }
+
+  const { items: merged, renamedTasks } = renameTaskIds(items, imported);
+  return { items: merged, report: { ...report, renamedTasks } };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_SCHEMA_VERSION,
+  IMPORT_MODES,
+  CONFLICT_STRATEGIES,
+  createExportBundle,
+  validateBundle,
+  describeBundleDifferences,
+  mergeItems,
+};
@@ -0,0 +1,293 @@
+// WebSocket collaboration channel - /api/collab (default board) and
+// /api/boards/:boardId/collab. Carries the same board events as /api/events
+// plus messages from the participants themselves (cursor, viewport,
+// selection, drag), which are rebroadcast to everyone else on the board.
+//
+// Client messages are ephemeral: they go out as board signals, so with Redis
+// they reach participants connected to other instances too, but they are
+// never stored or replayed. Each connection is also a presence entry (see
+// presence.js) for as long as it stays open.
+const { WebSocketServer } = require("ws");
+const { DEFAULT_BOARD_ID } = require("./boards");
+const { parsePresence, parseViewport } = require("./presence");
+
+const COLLAB_PATH = /^\/api(?:\/boards\/([^/]+))?\/collab\/?$/;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const MAX_SELECTION = 500;
+const HEARTBEAT_INTERVAL = 30000;
+const DRAG_PHASES = ["start", "move", "end"];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Validators for client messages: return the fields to rebroadcast, or an
+// error string
+const CLIENT_MESSAGES = {
+  cursor: ({ x, y }) =>
+    isNumber(x) && isNumber(y) ? { x, y } : "cursor needs numeric x and y",
+  viewport: (message) => {
+    const { viewport, error } = parseViewport(message);
+    return error || viewport;
+  },
+  selection: ({ itemIds }) =>
+    Array.isArray(itemIds) &&
+    itemIds.length <= MAX_SELECTION &&
+    itemIds.every((id) => typeof id === "string")
+      ? { itemIds }
+      : `selection needs itemIds: an array of at most ${MAX_SELECTION} strings`,
+  drag: ({ itemId, x, y, phase = "move" }) =>
+    typeof itemId === "string" &&
+    isNumber(x) &&
+    isNumber(y) &&
+    DRAG_PHASES.includes(phase)
+      ? { itemId, x, y, phase }
+      : `drag needs itemId, numeric x and y, and phase ${DRAG_PHASES.join(
+          "|"
+        )}`,
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Handle collaboration upgrades on an HTTP server created by app.listen()
+const attachCollaboration = (server, { boards }) => {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+  // boardId -> { board, participants: Map(participantId -> participant), stop }
+  const rooms = new Map();
+
+  // Start forwarding board events and signals when the first participant
+  // joins a board
+  const openRoom = (board) => {
+    const existing = rooms.get(board.id);
+    if (existing && existing.board === board) return existing;
+
+    const room = { board, participants: new Map() };
+
+    const stopEvents = board.events.onEvent((message) => {
+      const data = { ...message };
+      delete data.event;
+      room.participants.forEach(({ socket }) =>
+        send(socket, { type: "event", event: message.event, data })
+      );
+
+      if (message.event === "board-deleted") {
+        room.participants.forEach(({ socket }) =>
+          socket.close(4404, "Board deleted")
+        );
+      }
+    });
+    // Everyone but the sender sees a participant signal; named signals
+    // (presenter-viewport) are wrapped like board events
+    const stopSignals = board.events.onSignal((signal) => {
+      if (signal.event) {
+        const data = { ...signal };
+        delete data.event;
+        return room.participants.forEach(({ socket }) =>
+          send(socket, { type: "event", event: signal.event, data })
+        );
+      }
+      room.participants.forEach(({ id, socket }) => {
+        if (id !== signal.participantId) send(socket, signal);
+      });
+    });
+
+    room.stop = () => {
+      stopEvents();
+      stopSignals();
+    };
+    rooms.set(board.id, room);
+    return room;
+  };
+
+  const join = async (socket, board, params) => {
+    // Socket errors are followed by "close"; without a listener they would
+    // be thrown
+    socket.on("error", (error) =>
+      console.error("Collaboration socket error:", error)
+    );
+
+    const { fields, error } = parsePresence({
+      name: params.get("name") || undefined,
+      role: params.get("role") || undefined,
+      clientType: params.get("clientType") || undefined,
+    });
+    if (error) {
+      send(socket, { type: "error", error });
+      return socket.close(1008, "Invalid presence");
+    }
+
+    const entry = await board.presence.join(fields, {
+      connection: "websocket",
+    });
+    // Gone while we were registering it
+    if (socket.readyState !== socket.OPEN) {
+      await board.presence.leave(entry.id, "disconnected");
+      return;
+    }
+
+    const room = openRoom(board);
+    const participant = {
+      id: entry.id,
+      name: entry.name,
+      role: entry.role,
+      socket,
+      alive: true,
+    };
+
+    const signal = (type, fields = {}) =>
+      board.events.signal({
+        type,
+        participantId: participant.id,
+        name: participant.name,
+        ...fields,
+        timestamp: new Date().toISOString(),
+      });
+
+    room.participants.set(participant.id, participant);
+
+    // Every handler is registered before the welcome is awaited, so a
+    // connection that goes away while joining still leaves the room and the
+    // presence list, and no early message is dropped
+    socket.on("close", () => {
+      room.participants.delete(participant.id);
+      board.presence
+        .leave(participant.id, "disconnected")
+        .catch((error) =>
+          console.error("Error removing collaboration presence:", error)
+        );
+      console.log(`👋 ${participant.name} left collaboration on ${board.id}`);
+
+      if (room.participants.size === 0 && rooms.get(board.id) === room) {
+        room.stop();
+        rooms.delete(board.id);
+      }
+    });
+
+    // Pongs double as presence heartbeats
+    socket.on("pong", () => {
+      participant.alive = true;
+      board.presence
+        .touch(participant.id)
+        .catch((error) =>
+          console.error("Error refreshing collaboration presence:", error)
+        );
+    });
+
+    const handleMessage = async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (_) {
+        return send(socket, { type: "error", error: "Invalid JSON" });
+      }
+      if (!message || typeof message !== "object") {
+        return send(socket, { type: "error", error: "Invalid message" });
+      }
+
+      // Change name, role or client type without reconnecting
+      if (message.type === "hello") {
+        const { fields, error } = parsePresence(message, { partial: true });
+        if (error) return send(socket, { type: "error", error });
+        const updated = await board.presence.update(participant.id, fields);
+        if (updated) {
+          participant.name = updated.name;
+          participant.role = updated.role;
+        }
+        return;
+      }
+
+      const validate = CLIENT_MESSAGES[message.type];
+      if (!validate) {
+        return send(socket, {
+          type: "error",
+          error: `Unknown message type: ${message.type}`,
+        });
+      }
+      const fields = validate(message);
+      if (typeof fields === "string") {
+        return send(socket, { type: "error", error: fields });
+      }
+      signal(message.type, fields);
+
+      // The presenter's viewport is also what followers track
+      if (message.type === "viewport" && participant.role === "presenter") {
+        try {
+          await board.presence.shareViewport(participant.id, fields);
+        } catch (error) {
+          // Demoted by someone else taking over
+          if (!error.status) throw error;
+          participant.role = "participant";
+        }
+      }
+    };
+
+    socket.on("message", (raw) => {
+      handleMessage(raw).catch((error) => {
+        console.error("Error handling collaboration message:", error);
+        send(socket, { type: "error", error: "Failed to handle message" });
+      });
+    });
+
+    send(socket, {
+      type: "welcome",
+      participantId: participant.id,
+      boardId: board.id,
+      participants: await board.presence.list(),
+    });
+    console.log(`🤝 ${participant.name} joined collaboration on ${board.id}`);
+  };
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = COLLAB_PATH.exec(url.pathname);
+    if (!match) return rejectUpgrade(socket, 404, "Not Found");
+
+    try {
+      const boardId = match[1]
+        ? decodeURIComponent(match[1])
+        : DEFAULT_BOARD_ID;
+      const board = await boards.open(boardId);
+      if (!board) return rejectUpgrade(socket, 404, "Not Found");
+
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        join(ws, board, url.searchParams).catch((error) => {
+          console.error("Error joining collaboration channel:", error);
+          ws.close(1011, "Failed to join");
+        })
+      );
+    } catch (error) {
+      console.error("Error opening collaboration channel:", error);
+      rejectUpgrade(socket, 500, "Internal Server Error");
+    }
+  });
+
+  // Drop participants whose connection went away without a close frame
+  const heartbeat = setInterval(() => {
+    rooms.forEach((room) => {
+      room.participants.forEach((participant) => {
+        if (!participant.alive) return participant.socket.terminate();
+        participant.alive = false;
+        participant.socket.ping();
+      });
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  server.on("close", () => clearInterval(heartbeat));
+
+  return {
+    participantCount: (boardId) =>
+      rooms.has(boardId) ? rooms.get(boardId).participants.size : 0,
+  };
+};
+
+module.exports = { attachCollaboration };
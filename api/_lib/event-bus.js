@@ -0,0 +1,159 @@
+// Board event bus - fans board events out to every server instance.
+//
+// Events are always delivered to this process's subscribers right away. When
+// REDIS_URL is set they are also published on a Redis channel per board, and
+// events published by other instances are relayed to local subscribers, so
+// an SSE viewer connected to instance B sees a focus sent to instance A.
+// Without Redis the bus is purely in-process.
+//
+// Signals are ephemeral collaboration messages (cursors, viewports, ...) sent
+// over a separate channel per board: they are fanned out the same way but get
+// no sequence number and are never replayed.
+const { EventEmitter } = require("events");
+const { getRedisClient, isRedisConnected } = require("./redis-client");
+
+const CHANNEL_PREFIX = "board-events:";
+const SIGNAL_CHANNEL_PREFIX = "board-signals:";
+
+// Local emitter key for a board's signals (board ids never contain ":")
+const signalKey = (boardId) => `signal:${boardId}`;
+
+const createEventBus = () => {
+  // Lets this instance skip its own messages when Redis echoes them back
+  const instanceId = `${process.pid}-${Math.random()
+    .toString(36)
+    .substr(2, 8)}`;
+  const local = new EventEmitter();
+  local.setMaxListeners(0);
+
+  let subscribing = null;
+  let relaying = false;
+
+  // Subscribe once to every board channel on a dedicated connection
+  const startRelay = async () => {
+    if (!process.env.REDIS_URL) return;
+
+    const redis = await getRedisClient();
+    if (!redis) return;
+
+    const subscriber = redis.duplicate();
+    subscriber.on("error", (error) => {
+      console.error("Redis event subscriber error:", error);
+    });
+    await subscriber.connect();
+    const relayChannel = (prefix, toKey) => (raw, channel) => {
+      try {
+        const { origin, message } = JSON.parse(raw);
+        if (origin === instanceId) return;
+        local.emit(toKey(channel.slice(prefix.length)), message);
+      } catch (error) {
+        console.error("Ignoring malformed board event:", error);
+      }
+    };
+    await subscriber.pSubscribe(
+      `${CHANNEL_PREFIX}*`,
+      relayChannel(CHANNEL_PREFIX, (boardId) => boardId)
+    );
+    await subscriber.pSubscribe(
+      `${SIGNAL_CHANNEL_PREFIX}*`,
+      relayChannel(SIGNAL_CHANNEL_PREFIX, signalKey)
+    );
+
+    relaying = true;
+    console.log("📡 Relaying board events through Redis pub/sub");
+  };
+
+  const ensureRelay = () => {
+    if (!subscribing) {
+      subscribing = startRelay().catch((error) => {
+        console.error("Failed to subscribe to board events:", error);
+        subscribing = null;
+      });
+    }
+    return subscribing;
+  };
+
+  // Per-board sequence numbers; kept in Redis when available so they keep
+  // increasing across instances
+  const localSequences = new Map();
+
+  const nextSequence = async (redis, boardId) => {
+    if (redis) {
+      try {
+        return await redis.incr(`${CHANNEL_PREFIX}${boardId}:seq`);
+      } catch (error) {
+        console.error("Failed to take a Redis event sequence number:", error);
+      }
+    }
+    const seq = (localSequences.get(boardId) || 0) + 1;
+    localSequences.set(boardId, seq);
+    return seq;
+  };
+
+  // Stamp the message with boardId and seq, deliver it here, then relay it.
+  // Resolves with the published event.
+  const publish = async (boardId, message) => {
+    try {
+      const client = process.env.REDIS_URL ? await getRedisClient() : null;
+      const redis = client && isRedisConnected() ? client : null;
+
+      const event = {
+        ...message,
+        boardId,
+        seq: await nextSequence(redis, boardId),
+      };
+      local.emit(boardId, event);
+
+      if (redis) {
+        await redis.publish(
+          `${CHANNEL_PREFIX}${boardId}`,
+          JSON.stringify({ origin: instanceId, message: event })
+        );
+      }
+      return event;
+    } catch (error) {
+      console.error("Failed to publish board event:", error);
+      return null;
+    }
+  };
+
+  // Deliver a signal here and relay it, without a sequence number
+  const publishSignal = async (boardId, message) => {
+    const signal = { ...message, boardId };
+    local.emit(signalKey(boardId), signal);
+
+    try {
+      const client = process.env.REDIS_URL ? await getRedisClient() : null;
+      if (client && isRedisConnected()) {
+        await client.publish(
+          `${SIGNAL_CHANNEL_PREFIX}${boardId}`,
+          JSON.stringify({ origin: instanceId, message: signal })
+        );
+      }
+    } catch (error) {
+      console.error("Failed to publish board signal:", error);
+    }
+    return signal;
+  };
+
+  const listen = (key, handler) => {
+    ensureRelay();
+    local.on(key, handler);
+    return () => local.off(key, handler);
+  };
+
+  // Both return an unsubscribe function
+  const subscribe = (boardId, handler) => listen(boardId, handler);
+  const subscribeSignals = (boardId, handler) =>
+    listen(signalKey(boardId), handler);
+
+  return {
+    publish,
+    subscribe,
+    publishSignal,
+    subscribeSignals,
+    transport: () => (relaying ? "redis" : "local"),
+  };
+};
+
+module.exports = { createEventBus };
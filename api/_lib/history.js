@@ -0,0 +1,374 @@
+// Operation log with undo/redo for one board.
+//
+// Every mutation made through recorder(actor) is appended to the board's
+// operation log with the before/after state of each item it touched.
+// Housekeeping writes (the agent registry item, work-queue leases, blocked
+// flags) use recorder(actor, { undoable: false }): they are announced but
+// not logged, so undo never reverts them.
+// Undo and redo are appended as operations of their own that point at the
+// operation they revert or reapply, so the log itself is never rewritten
+// (apart from trimming the oldest entries, see append).
+// Undo and redo of one board run one at a time in this process, so two
+// concurrent requests can't both pick the same operation.
+// Every recorded change is also announced to live clients (see item-events.js).
+const { itemChangeEvent, bulkDeleteEvent } = require("./item-events");
+const { createMutex } = require("./mutex");
+
+const MAX_OPERATIONS = 500;
+// Replacements (snapshot restores, imports) and their undo/redo can hold
+// every item of the board twice, so far fewer of them are kept
+const MAX_REPLACE_OPERATIONS = 20;
+
+const MUTATION_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "bulk-delete",
+  "replace",
+];
+
+// Order-insensitive comparison of two item states (null means "no item")
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Versions go up on every write (including undo itself), so they are not
+// part of an item's state
+const withoutVersion = (item) => {
+  if (!item) return item;
+  const { version, ...state } = item;
+  return state;
+};
+
+const isSameState = (a, b) =>
+  stableStringify(withoutVersion(a)) === stableStringify(withoutVersion(b));
+
+// Per-item changes between two full boards (used for replaceItems)
+const diffBoards = (beforeItems, afterItems) => {
+  const beforeById = new Map(beforeItems.map((item) => [item.id, item]));
+  const afterById = new Map(afterItems.map((item) => [item.id, item]));
+  const changes = [];
+
+  for (const [itemId, before] of beforeById) {
+    const after = afterById.get(itemId) || null;
+    if (!isSameState(before, after)) {
+      changes.push({ itemId, before, after });
+    }
+  }
+  for (const [itemId, after] of afterById) {
+    if (!beforeById.has(itemId)) {
+      changes.push({ itemId, before: null, after });
+    }
+  }
+  return changes;
+};
+
+const historyError = (status, message, details = {}) =>
+  Object.assign(new Error(message), { status }, details);
+
+// `locks` is the board's edit locks (locks.js); undo and redo leave items
+// someone else is editing alone
+const createHistory = ({ store, log, events, locks }) => {
+  const serialize = createMutex();
+
+  // Index of the oldest operation to keep: at most MAX_OPERATIONS, and
+  // nothing older than the oldest of the last MAX_REPLACE_OPERATIONS
+  // replacements (so undo never skips over a dropped one)
+  const firstKept = (operations) => {
+    const replaceIds = new Set();
+    let replacements = 0;
+    let first = Math.max(0, operations.length - MAX_OPERATIONS);
+    operations.forEach((op) => {
+      if (op.action === "replace") replaceIds.add(op.id);
+    });
+    for (let index = operations.length - 1; index >= first; index--) {
+      const op = operations[index];
+      if (op.action === "replace" || replaceIds.has(op.target)) {
+        replacements++;
+        if (replacements > MAX_REPLACE_OPERATIONS) {
+          first = index + 1;
+          break;
+        }
+      }
+    }
+    return first;
+  };
+
+  const append = async (entry) => {
+    const operation = {
+      id: `op-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      ...entry,
+      timestamp: new Date().toISOString(),
+    };
+    await log.insertItem(operation);
+
+    // Keep the log bounded - drop the oldest entries
+    const operations = await log.listItems();
+    const first = firstKept(operations);
+    if (first > 0) {
+      const expired = new Set(operations.slice(0, first).map((op) => op.id));
+      await log.removeItems((op) => expired.has(op.id));
+    }
+    return operation;
+  };
+
+  // Whole-board replacements are announced by the caller (board-refresh)
+  const publishChanges = (action, actor, changes) => {
+    if (action === "replace") return;
+    if (action === "bulk-delete") {
+      events.broadcast(
+        bulkDeleteEvent(
+          changes.map((change) => change.before),
+          actor
+        )
+      );
+      return;
+    }
+    changes.forEach((change) =>
+      events.broadcast(itemChangeEvent(change, actor))
+    );
+  };
+
+  // Announce changes to live clients, then log them
+  const recordAndLog = (action, actor, changes) => {
+    if (changes.length === 0) return null;
+    publishChanges(action, actor, changes);
+    return append({ action, actor, changes });
+  };
+
+  // Announce changes without logging them
+  const announce = (action, actor, changes) => {
+    if (changes.length > 0) publishChanges(action, actor, changes);
+    return null;
+  };
+
+  // Store wrapper that logs every mutation under `actor` (or only announces
+  // it when `undoable` is false)
+  const recorder = (actor, { undoable = true } = {}) => {
+    const record = undoable ? recordAndLog : announce;
+    return {
+      ...store,
+
+      insertItem: async (item) => {
+        const created = await store.insertItem(item);
+        await record("create", actor, [
+          { itemId: created.id, before: null, after: created },
+        ]);
+        return created;
+      },
+
+      updateItem: async (id, updater, options) => {
+        let before = null;
+        const updated = await store.updateItem(
+          id,
+          (current) => {
+            before = current;
+            return updater(current);
+          },
+          options
+        );
+        if (updated) {
+          await record("update", actor, [
+            { itemId: id, before, after: updated },
+          ]);
+        }
+        return updated;
+      },
+
+      removeItem: async (id, check) => {
+        const removed = await store.removeItem(id, check);
+        if (removed) {
+          await record("delete", actor, [
+            { itemId: id, before: removed, after: null },
+          ]);
+        }
+        return removed;
+      },
+
+      removeItems: async (predicate) => {
+        const removed = await store.removeItems(predicate);
+        await record(
+          "bulk-delete",
+          actor,
+          removed.map((item) => ({
+            itemId: item.id,
+            before: item,
+            after: null,
+          }))
+        );
+        return removed;
+      },
+
+      replaceItems: async (items) => {
+        const beforeItems = await store.listItems();
+        const replaced = await store.replaceItems(items);
+        await record("replace", actor, diffBoards(beforeItems, replaced));
+        return replaced;
+      },
+    };
+  };
+
+  // IDs of operations that are currently undone
+  const undoneOperations = (operations) => {
+    const undone = new Set();
+    for (const op of operations) {
+      if (op.action === "undo") undone.add(op.target);
+      if (op.action === "redo") undone.delete(op.target);
+    }
+    return undone;
+  };
+
+  // Put an item into `state` (null removes it) and tell live clients
+  const applyState = async (itemId, state, actor) => {
+    const before = await store.getItem(itemId);
+
+    if (state === null) {
+      if (!(await store.removeItem(itemId))) return;
+    } else if (!(await store.updateItem(itemId, () => state))) {
+      await store.insertItem(state);
+    }
+    events.broadcast(itemChangeEvent({ itemId, before, after: state }, actor));
+  };
+
+  // Refuse (409) when an item no longer matches the state `direction`
+  // expects it in
+  const assertUnchanged = async (operation, changes, direction) => {
+    const conflicts = [];
+    for (const change of changes) {
+      const expected = direction === "undo" ? change.after : change.before;
+      const current = await store.getItem(change.itemId);
+      if (!isSameState(current, expected)) {
+        conflicts.push(change.itemId);
+      }
+    }
+    if (conflicts.length > 0) {
+      throw historyError(
+        409,
+        `Cannot ${direction} ${
+          operation.id
+        }: items changed since (${conflicts.join(
+          ", "
+        )}). Retry with force to ${direction} anyway.`,
+        { conflicts }
+      );
+    }
+  };
+
+  // Move every change of `operation` from one side to the other.
+  // Refuses (409) when an item no longer matches the expected state, unless
+  // `force` is set.
+  const revertOrReapply = async (operation, direction, actor, force) => {
+    const isUndo = direction === "undo";
+    const changes = isUndo
+      ? [...operation.changes].reverse()
+      : operation.changes;
+
+    // Locked items refuse the whole operation up front (force or not), so
+    // it isn't left half applied, and nobody can lock them while it runs
+    await locks.hold(
+      changes.map((change) => change.itemId),
+      actor,
+      async () => {
+        if (!force) await assertUnchanged(operation, changes, direction);
+        for (const change of changes) {
+          await applyState(
+            change.itemId,
+            isUndo ? change.before : change.after,
+            actor
+          );
+        }
+      }
+    );
+
+    const entry = await append({
+      action: direction,
+      actor,
+      target: operation.id,
+      changes: changes.map((change) =>
+        isUndo
+          ? {
+              itemId: change.itemId,
+              before: change.after,
+              after: change.before,
+            }
+          : change
+      ),
+    });
+
+    console.log(
+      `↩️  ${direction} of ${operation.action} ${operation.id} by ${actor}`
+    );
+    return { operation: entry, target: operation };
+  };
+
+  // Undo the most recent applied operation (optionally only `onlyActor`'s)
+  const undo = ({ actor, onlyActor, force = false }) =>
+    serialize(async () => {
+      const operations = await log.listItems();
+      const undone = undoneOperations(operations);
+
+      const target = [...operations]
+        .reverse()
+        .find(
+          (op) =>
+            MUTATION_ACTIONS.includes(op.action) &&
+            !undone.has(op.id) &&
+            (!onlyActor || op.actor === onlyActor)
+        );
+      if (!target) return null;
+
+      return revertOrReapply(target, "undo", actor, force);
+    });
+
+  // Redo the most recently undone operation (optionally only `onlyActor`'s)
+  const redo = ({ actor, onlyActor, force = false }) =>
+    serialize(async () => {
+      const operations = await log.listItems();
+      const undone = undoneOperations(operations);
+      const byId = new Map(operations.map((op) => [op.id, op]));
+
+      const undoEntry = [...operations]
+        .reverse()
+        .find(
+          (op) =>
+            op.action === "undo" &&
+            undone.has(op.target) &&
+            byId.has(op.target) &&
+            (!onlyActor || byId.get(op.target).actor === onlyActor)
+        );
+      if (!undoEntry) return null;
+
+      return revertOrReapply(byId.get(undoEntry.target), "redo", actor, force);
+    });
+
+  // Most recent operations first, with their undo state
+  const listOperations = async ({ limit = 50, actor } = {}) => {
+    const operations = await log.listItems();
+    const undone = undoneOperations(operations);
+
+    return operations
+      .filter((op) => !actor || op.actor === actor)
+      .reverse()
+      .slice(0, limit)
+      .map((op) => ({ ...op, undone: undone.has(op.id) }));
+  };
+
+  return { recorder, undo, redo, listOperations };
+};
+
+module.exports = {
+  createHistory,
+  isSameState,
+  MAX_OPERATIONS,
+  MAX_REPLACE_OPERATIONS,
+};
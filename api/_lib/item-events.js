@@ -0,0 +1,51 @@
+// Item change events pushed to SSE clients. Every create, update, delete and
+// bulk delete on a board is announced with the same envelope:
+//
+//   event      "new-item" | "update-item" | "delete-item" | "bulk-delete"
+//   boardId    board the change happened on
+//   itemId     changed item ("itemIds" for bulk-delete)
+//   item       full item after the change, or the removed item for
+//              delete-item ("items" for bulk-delete)
+//   actor      X-Actor of the request that made the change
+//   timestamp  ISO time of the change
+//   seq        per-board sequence number, assigned when the event is published
+//
+// Whole-board replacements (snapshot restore, import) send one
+// "board-refresh" event with the new item list instead.
+//
+// Carrying the items lets SSE connections filter events by item type and
+// zone (see sse.js).
+
+// Event for one { itemId, before, after } change
+const itemChangeEvent = ({ itemId, before, after }, actor) => {
+  const timestamp = new Date().toISOString();
+
+  if (after === null) {
+    return { event: "delete-item", itemId, item: before, actor, timestamp };
+  }
+  return {
+    event: before === null ? "new-item" : "update-item",
+    itemId,
+    item: after,
+    actor,
+    timestamp,
+  };
+};
+
+const bulkDeleteEvent = (items, actor) => ({
+  event: "bulk-delete",
+  itemIds: items.map((item) => item.id),
+  items,
+  actor,
+  timestamp: new Date().toISOString(),
+});
+
+const boardRefreshEvent = (items, actor, details = {}) => ({
+  event: "board-refresh",
+  ...details,
+  items,
+  actor,
+  timestamp: new Date().toISOString(),
+});
+
+module.exports = { itemChangeEvent, bulkDeleteEvent, boardRefreshEvent };
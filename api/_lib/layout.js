@@ -0,0 +1,222 @@
+// Canvas layout helpers shared by every server variant
+
+// Task Management Zone boundaries
+const TASK_ZONE = {
+  x: 4200,
+  y: 0,
+  width: 2000,
+  height: 2100,
+};
+
+// Item types created by the agent-facing endpoints and placed in the Task Zone
+const TASK_ZONE_TYPES = ["agent", "todo", "lab-result"];
+
+// Default dimensions for dashboard components
+const COMPONENT_SIZES = {
+  PatientContext: { width: 1600, height: 300 },
+  EncounterTimeline: { width: 1600, height: 400 },
+  AdverseEventAnalytics: { width: 1600, height: 500 },
+  LabTable: { width: 520, height: 400 },
+  LabChart: { width: 520, height: 400 },
+  DifferentialDiagnosis: { width: 520, height: 400 },
+};
+
+const DEFAULT_COMPONENT_SIZE = { width: 600, height: 400 };
+
+const getComponentSize = (componentType) =>
+  COMPONENT_SIZES[componentType] || DEFAULT_COMPONENT_SIZE;
+
+const isInTaskZone = (item) =>
+  item.x >= TASK_ZONE.x &&
+  item.x < TASK_ZONE.x + TASK_ZONE.width &&
+  item.y >= TASK_ZONE.y &&
+  item.y < TASK_ZONE.y + TASK_ZONE.height;
+
+// API-created items sitting inside the Task Management Zone
+const isTaskZoneItem = (item) =>
+  isInTaskZone(item) && TASK_ZONE_TYPES.includes(item.type);
+
+// Collision detection function
+const checkCollision = (item1, item2) => {
+  // Two rectangles overlap if they don't satisfy any of these conditions:
+  // 1. item1 is completely to the left of item2
+  // 2. item1 is completely to the right of item2
+  // 3. item1 is completely above item2
+  // 4. item1 is completely below item2
+
+  const noCollision =
+    item1.x + item1.width <= item2.x || // item1 is completely to the left
+    item2.x + item2.width <= item1.x || // item1 is completely to the right
+    item1.y + item1.height <= item2.y || // item1 is completely above
+    item2.y + item2.height <= item1.y; // item1 is completely below
+
+  const hasCollision = !noCollision;
+
+  if (hasCollision) {
+    console.log(
+      `💥 Collision detected: Item1(${item1.x},${item1.y},${item1.width},${item1.height}) vs Item2(${item2.x},${item2.y},${item2.width},${item2.height})`
+    );
+  }
+
+  return hasCollision;
+};
+
+// Find position within Task Management Zone with proper spacing
+const findTaskZonePosition = (newItem, existingItems) => {
+  const padding = 60; // Space between items and zone border (increased for better spacing)
+  const rowHeight = 490; // Standard row height for items (450px + 40px spacing)
+  const colWidth = 560; // Standard column width for items (520px item + 40px spacing)
+
+  // Filter existing items to only those in the Task Management Zone
+  const taskZoneItems = existingItems.filter(isTaskZoneItem);
+
+  console.log(
+    `🎯 Finding position in Task Management Zone for ${newItem.type} item`
+  );
+  console.log(
+    `📊 Found ${taskZoneItems.length} existing API items in Task Zone`
+  );
+
+  // Calculate grid positions
+  const maxCols = Math.floor(TASK_ZONE.width / colWidth);
+  const maxRows = Math.floor(TASK_ZONE.height / rowHeight);
+
+  console.log(
+    `📐 Grid capacity: ${maxCols} columns × ${maxRows} rows = ${
+      maxCols * maxRows
+    } positions`
+  );
+
+  // Create a grid to track occupied positions
+  const grid = Array(maxRows)
+    .fill(null)
+    .map(() => Array(maxCols).fill(false));
+
+  // Mark occupied positions
+  taskZoneItems.forEach((item) => {
+    const col = Math.floor((item.x - TASK_ZONE.x) / colWidth);
+    const row = Math.floor((item.y - TASK_ZONE.y - 60) / rowHeight); // Adjust for starting Y offset
+
+    if (row >= 0 && row < maxRows && col >= 0 && col < maxCols) {
+      grid[row][col] = true;
+      console.log(`🔒 Position occupied: row ${row}, col ${col} by ${item.id}`);
+    }
+  });
+
+  // Find first available position (left to right, top to bottom)
+  for (let row = 0; row < maxRows; row++) {
+    for (let col = 0; col < maxCols; col++) {
+      if (!grid[row][col]) {
+        const x = TASK_ZONE.x + col * colWidth + padding;
+        const y = TASK_ZONE.y + row * rowHeight + 60; // Start at 60px from top of zone
+
+        console.log(
+          `✅ Found available position: row ${row}, col ${col} at (${x}, ${y})`
+        );
+        return { x, y };
+      }
+    }
+  }
+
+  // If no grid position available, stack vertically in first column
+  const x = TASK_ZONE.x + padding;
+  const y = TASK_ZONE.y + 60 + taskZoneItems.length * (rowHeight + padding);
+
+  console.log(`⚠️  Grid full, stacking vertically at (${x}, ${y})`);
+  return { x, y };
+};
+
+// Legacy collision detection for non-API items - Find non-overlapping position for new item
+const findNonOverlappingPosition = (newItem, existingItems) => {
+  const padding = 20; // Minimum gap between items
+  const maxAttempts = 50; // Prevent infinite loops
+  let attempts = 0;
+
+  // Start with the original position
+  let testX = newItem.x;
+  let testY = newItem.y;
+
+  // If no position specified, start at a random location
+  if (!newItem.x || !newItem.y) {
+    testX = Math.random() * 8000 + 100;
+    testY = Math.random() * 7000 + 100;
+  }
+
+  console.log(
+    `🔍 Checking collision for new item at (${testX}, ${testY}) with ${existingItems.length} existing items`
+  );
+
+  while (attempts < maxAttempts) {
+    let hasCollision = false;
+
+    // Check collision with all existing items
+    for (const existingItem of existingItems) {
+      const testItem = {
+        x: testX,
+        y: testY,
+        width: newItem.width,
+        height: newItem.height,
+      };
+
+      if (checkCollision(testItem, existingItem)) {
+        console.log(
+          `⚠️  Collision detected with existing item ${existingItem.id} at (${existingItem.x}, ${existingItem.y})`
+        );
+        hasCollision = true;
+        break;
+      }
+    }
+
+    // If no collision found, use this position
+    if (!hasCollision) {
+      console.log(`✅ No collision found, using position (${testX}, ${testY})`);
+      return { x: testX, y: testY };
+    }
+
+    // Move to next position (below existing items)
+    // Strategy: Find the bottom-most item and place below it
+    let maxBottom = 0;
+    for (const existingItem of existingItems) {
+      const bottom = existingItem.y + existingItem.height;
+      if (bottom > maxBottom) {
+        maxBottom = bottom;
+      }
+    }
+
+    // Place below the bottom-most item with padding
+    testY = maxBottom + padding;
+
+    console.log(
+      `📍 Moving to position below bottom-most item: (${testX}, ${testY})`
+    );
+
+    // If we're too far down, try a new random X position
+    if (testY > 8000) {
+      testX = Math.random() * 8000 + 100;
+      testY = Math.random() * 7000 + 100;
+      console.log(
+        `🔄 Canvas too crowded, trying new random position: (${testX}, ${testY})`
+      );
+    }
+
+    attempts++;
+  }
+
+  // If we couldn't find a non-overlapping position, use the last calculated position
+  console.log(
+    `⚠️  Could not find non-overlapping position after ${attempts} attempts, using fallback position (${testX}, ${testY})`
+  );
+  return { x: testX, y: testY };
+};
+
+module.exports = {
+  TASK_ZONE,
+  TASK_ZONE_TYPES,
+  COMPONENT_SIZES,
+  getComponentSize,
+  isInTaskZone,
+  isTaskZoneItem,
+  checkCollision,
+  findTaskZonePosition,
+  findNonOverlappingPosition,
+};
@@ -0,0 +1,278 @@
+// Item edit locks - whoever is dragging or editing an item holds its lock, and
+// updates from anyone else are refused until it is released or expires.
+//
+// Locks are keyed by item ID and held by an actor (the X-Actor header). They
+// expire `ttl` seconds after they were last acquired, so a client that
+// vanishes mid-drag doesn't block the item for good; acquiring again renews.
+// Locking and unlocking are board events ("item-locked", "item-unlocked").
+//
+// Writes through guard() and hold() check the locks and write in one turn
+// of a per-board mutex that acquire() also takes, so a lock can't be taken
+// between a write's check and the write itself. The mutex is per process:
+// with several instances behind Redis, a lock taken on another instance can
+// still miss a write that is already under way there.
+//
+// Housekeeping writes (blocked task flags, the agent registry's assignment
+// flags) and work-queue writes (leases, agent task updates) skip the locks
+// on purpose: they change task fields nobody edits by hand on the canvas,
+// and a task must be claimable while someone drags its list around.
+const { createMutex } = require("./mutex");
+const { isSameState } = require("./history");
+
+const DEFAULT_LOCK_TTL_SECONDS = 30;
+const MAX_LOCK_TTL_SECONDS = 300;
+const SWEEP_INTERVAL_MS = 5000;
+const MAX_ACQUIRE_ATTEMPTS = 3;
+
+// Errors the routes turn into a response with the given status; the current
+// lock is sent along so clients can show who holds it
+const lockError = (status, message, lock) =>
+  Object.assign(new Error(message), { status, details: { lock } });
+
+// Returns { ttl } in seconds or { error }
+const parseLockTtl = (ttl) => {
+  if (ttl === undefined) return { ttl: DEFAULT_LOCK_TTL_SECONDS };
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_LOCK_TTL_SECONDS) {
+    return {
+      error: `ttl must be a whole number of seconds from 1 to ${MAX_LOCK_TTL_SECONDS}`,
+    };
+  }
+  return { ttl };
+};
+
+const createLocks = ({ store, events }) => {
+  const serialize = createMutex();
+  let sweeper = null;
+
+  const isActive = (lock, now = Date.now()) => Date.parse(lock.expiresAt) > now;
+
+  const announce = (event, lock, details = {}) =>
+    events.broadcast({
+      event,
+      itemId: lock.itemId,
+      lock,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+
+  // Drop expired locks and tell clients the items are free again
+  const prune = async () => {
+    const now = Date.now();
+    const expired = await store.removeItems((lock) => !isActive(lock, now));
+    for (const lock of expired) {
+      await announce("item-unlocked", lock, { reason: "expired" });
+    }
+  };
+
+  const ensureSweeper = () => {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      prune().catch((error) => console.error("Error pruning locks:", error));
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  };
+
+  const list = async () => {
+    await prune();
+    return store.listItems();
+  };
+
+  // The active lock on an item, or null
+  const get = async (itemId) => {
+    const lock = await store.getItem(itemId);
+    return lock && isActive(lock) ? lock : null;
+  };
+
+  const takeLock = async (itemId, holder, ttl) => {
+    const now = new Date();
+    // The active lock this replaces (ours, being renewed), or null
+    let current = null;
+
+    // Decided against the stored lock inside the write, so two clients can't
+    // both take a free item
+    const take = (stored) => {
+      current = stored && isActive(stored) ? stored : null;
+      if (current && current.holder !== holder) {
+        throw lockError(
+          409,
+          `Item ${itemId} is being edited by ${current.holder}`,
+          current
+        );
+      }
+      return {
+        id: itemId,
+        itemId,
+        holder,
+        acquiredAt: current ? current.acquiredAt : now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+      };
+    };
+
+    // Replace the stored lock (an expired one may linger until the next
+    // sweep), or insert one; an insert that loses to another client's goes
+    // round again and is decided against theirs
+    let saved = null;
+    let attempts = 0;
+    while (!saved && attempts < MAX_ACQUIRE_ATTEMPTS) {
+      attempts += 1;
+      try {
+        saved =
+          (await store.updateItem(itemId, take)) ||
+          (await store.insertItem(take(null)));
+      } catch (error) {
+        if (error.code !== "DUPLICATE_ITEM") throw error;
+      }
+    }
+    if (!saved) {
+      throw lockError(409, `Item ${itemId} is being locked by someone else`);
+    }
+
+    if (!current) {
+      await announce("item-locked", saved);
+      console.log(`🔒 ${holder} locked ${itemId} for ${ttl}s`);
+    }
+    ensureSweeper();
+    return saved;
+  };
+
+  // Take or renew the lock on an item; 409 if someone else holds it
+  const acquire = (itemId, holder, ttl = DEFAULT_LOCK_TTL_SECONDS) =>
+    serialize(() => takeLock(itemId, holder, ttl));
+
+  // Release a lock; only its holder can, unless forced
+  const release = async (itemId, holder, { force = false } = {}) => {
+    const current = await get(itemId);
+    if (!current) return null;
+    if (current.holder !== holder && !force) {
+      throw lockError(
+        403,
+        `Item ${itemId} is locked by ${current.holder}`,
+        current
+      );
+    }
+
+    await store.removeItem(itemId);
+    await announce("item-unlocked", current, {
+      reason: current.holder === holder ? "released" : "forced",
+      actor: holder,
+    });
+    console.log(`🔓 ${holder} released the lock on ${itemId}`);
+    return current;
+  };
+
+  // Refuse (423) changes to an item locked by someone else
+  const check = async (itemId, actor) => {
+    const current = await get(itemId);
+    if (current && current.holder !== actor) {
+      throw lockError(
+        423,
+        `Item ${itemId} is being edited by ${current.holder}`,
+        current
+      );
+    }
+  };
+
+  // Refuse (423) changes to any of `itemIds` locked by someone else
+  const checkAll = async (itemIds, actor) => {
+    for (const itemId of itemIds) await check(itemId, actor);
+  };
+
+  // Run fn() once none of `itemIds` is locked by someone else (423
+  // otherwise), without letting anyone lock them until it settles
+  const hold = (itemIds, actor, fn) =>
+    serialize(async () => {
+      await checkAll(itemIds, actor);
+      return fn();
+    });
+
+  // Drop the locks of deleted items
+  const dropLocks = async (items) => {
+    for (const item of items) {
+      const lock = await store.removeItem(item.id);
+      if (lock) await announce("item-unlocked", lock, { reason: "deleted" });
+    }
+  };
+
+  // Board store wrapper for one actor: every change to existing items
+  // (updates, deletes, bulk deletes and whole-board replacements) is refused
+  // (423) if it touches an item someone else has locked, and deleting an
+  // item drops its lock. Updates check inside their updater, so the check
+  // sees the lock as it is when the item is written.
+  const guard = (itemStore, actor) => ({
+    ...itemStore,
+    updateItem: (id, updater, options) =>
+      serialize(() =>
+        itemStore.updateItem(
+          id,
+          async (current) => {
+            await check(id, actor);
+            return updater(current);
+          },
+          options
+        )
+      ),
+    removeItem: (id, checkItem) =>
+      hold([id], actor, async () => {
+        const removed = await itemStore.removeItem(id, checkItem);
+        if (removed) await dropLocks([removed]);
+        return removed;
+      }),
+    removeItems: (predicate) =>
+      serialize(async () => {
+        const matching = (await itemStore.listItems()).filter(predicate);
+        await checkAll(
+          matching.map((item) => item.id),
+          actor
+        );
+        const removed = await itemStore.removeItems(predicate);
+        await dropLocks(removed);
+        return removed;
+      }),
+    // Items the new board leaves as they are may be locked
+    replaceItems: (items) =>
+      serialize(async () => {
+        const next = new Map(items.map((item) => [item.id, item]));
+        const current = await itemStore.listItems();
+        await checkAll(
+          current
+            .filter((item) => !isSameState(item, next.get(item.id) || null))
+            .map((item) => item.id),
+          actor
+        );
+        const replaced = await itemStore.replaceItems(items);
+        const kept = new Set(replaced.map((item) => item.id));
+        await dropLocks(current.filter((item) => !kept.has(item.id)));
+        return replaced;
+      }),
+  });
+
+  const close = () => {
+    if (sweeper) clearInterval(sweeper);
+    sweeper = null;
+  };
+
+  // Drop every lock (used when the board is deleted)
+  const destroy = async () => {
+    close();
+    await store.destroy();
+  };
+
+  return {
+    list,
+    get,
+    acquire,
+    release,
+    check,
+    hold,
+    guard,
+    close,
+    destroy,
+  };
+};
+
+module.exports = {
+  createLocks,
+  parseLockTtl,
+  DEFAULT_LOCK_TTL_SECONDS,
+  MAX_LOCK_TTL_SECONDS,
+};
@@ -0,0 +1,12 @@
+// Serializes async work: each task starts only after the previous one settles
+const createMutex = () => {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const run = tail.then(() => task());
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+module.exports = { createMutex };
@@ -0,0 +1,1151 @@
+// OpenAPI 3.1 description of the API, served at /api/openapi.json.
+//
+// Built from the definitions the server validates against - item schemas
+// (storage/schemas.js), component props (storage/component-types.js) and
+// request bodies (request-schemas.js) - plus the route catalogue below. When
+// adding a route, add it to OPERATIONS too.
+const { ITEM_SCHEMAS, ITEM_TYPES } = require("./storage/schemas");
+const { TASK_STATUSES } = require("./storage/task-statuses");
+const { COMPONENT_TYPES } = require("./storage/component-types");
+const { ZONES } = require("./storage/query");
+const { REQUEST_BODIES, BODY_ROUTES } = require("./request-schemas");
+const { ROLES, CLIENT_TYPES } = require("./presence");
+const { AGENT_MODES } = require("./agents");
+const { IMPORT_MODES, CONFLICT_STRATEGIES } = require("./bundle");
+const { BOARD_ID_PATTERN, DEFAULT_BOARD_ID } = require("./boards");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: "string" };
+const number = { type: "number" };
+const object = (properties, required = []) => ({
+  type: "object",
+  ...(required.length > 0 ? { required } : {}),
+  properties,
+});
+const arrayOf = (items) => ({ type: "array", items });
+
+// "lab-result" -> "LabResult", "/board-items/:id" -> "BoardItemsId"
+const pascalCase = (text) =>
+  text
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}${part.slice(1)}`)
+    .join("");
+
+const requestSchemaName = (body) => `${pascalCase(body)}Request`;
+const itemSchemaName = (type) => `${pascalCase(type)}Item`;
+const eventSchemaName = (event) => `${pascalCase(event)}Event`;
+
+const lockSchema = object(
+  {
+    itemId: string,
+    holder: { ...string, description: "X-Actor of whoever holds the lock" },
+    acquiredAt: string,
+    expiresAt: string,
+  },
+  ["itemId", "holder", "acquiredAt", "expiresAt"]
+);
+
+const presenceSchema = object(
+  {
+    id: string,
+    name: string,
+    role: { enum: ROLES },
+    clientType: { enum: CLIENT_TYPES },
+    connection: { enum: ["http", "websocket"] },
+    joinedAt: string,
+    lastSeen: string,
+    viewport: REQUEST_BODIES.shareViewport,
+  },
+  ["id", "name", "role", "clientType", "joinedAt", "lastSeen"]
+);
+
+// Fields every board event carries once published
+const eventFields = {
+  boardId: string,
+  actor: { ...string, description: "X-Actor of the request" },
+  timestamp: string,
+  seq: {
+    type: "integer",
+    description: "Per-board sequence number, also sent as the SSE id",
+  },
+};
+
+// Board events pushed on /api/events (and the collaboration WebSocket)
+const SSE_EVENTS = {
+  connected: {
+    description: 'Sent once when the stream opens; data is "ok"',
+    schema: { const: "ok" },
+  },
+  ping: {
+    description: "Heartbeat every 25 seconds; data is a timestamp in ms",
+    schema: { type: "integer" },
+  },
+  "new-item": {
+    description: "An item was created",
+    schema: object({ ...eventFields, itemId: string, item: ref("BoardItem") }),
+  },
+  "update-item": {
+    description: "An item was updated",
+    schema: object({ ...eventFields, itemId: string, item: ref("BoardItem") }),
+  },
+  "delete-item": {
+    description: "An item was deleted; item is the removed item",
+    schema: object({ ...eventFields, itemId: string, item: ref("BoardItem") }),
+  },
+  "bulk-delete": {
+    description: "Several items were deleted at once",
+    schema: object({
+      ...eventFields,
+      itemIds: arrayOf(string),
+      items: arrayOf(ref("BoardItem")),
+    }),
+  },
+  "board-refresh": {
+    description: "The whole board was replaced (snapshot restore, import)",
+    schema: object({
+      ...eventFields,
+      reason: { enum: ["snapshot-restore", "import"] },
+      snapshotId: string,
+      items: arrayOf(ref("BoardItem")),
+    }),
+  },
+  "board-deleted": {
+    description: "The board was deleted; the stream closes",
+    schema: object(eventFields),
+  },
+  focus: {
+    description: "A client asked the canvas to focus an item",
+    schema: object({
+      ...eventFields,
+      itemId: string,
+      objectId: string,
+      subElement: { type: ["string", "null"] },
+      focusOptions: REQUEST_BODIES.focus.properties.focusOptions,
+    }),
+  },
+  "presence-join": {
+    description: "Someone joined the board",
+    schema: object({
+      ...eventFields,
+      presenceId: string,
+      presence: ref("Presence"),
+    }),
+  },
+  "presence-update": {
+    description: "Someone changed name, role or client type",
+    schema: object({
+      ...eventFields,
+      presenceId: string,
+      presence: ref("Presence"),
+      reason: { const: "presenter-changed" },
+    }),
+  },
+  "agent-registered": {
+    description: "An agent registered, or updated its registration",
+    schema: object({
+      ...eventFields,
+      agentId: string,
+      agent: ref("Agent"),
+      reason: { enum: ["registered", "updated"] },
+    }),
+  },
+  "agent-status": {
+    description: "An agent went offline (no heartbeat) or came back online",
+    schema: object({
+      ...eventFields,
+      agentId: string,
+      agent: ref("Agent"),
+      reason: { enum: ["timeout", "heartbeat"] },
+    }),
+  },
+  "agent-unregistered": {
+    description: "An agent was removed from the registry",
+    schema: object({ ...eventFields, agentId: string, agent: ref("Agent") }),
+  },
+  "presence-leave": {
+    description: "Someone left or timed out",
+    schema: object({
+      ...eventFields,
+      presenceId: string,
+      presence: ref("Presence"),
+      reason: { enum: ["left", "disconnected", "timeout"] },
+    }),
+  },
+  "presenter-viewport": {
+    description: "The presenter moved their viewport (no id, never replayed)",
+    schema: object({
+      boardId: string,
+      presenceId: string,
+      name: string,
+      viewport: REQUEST_BODIES.shareViewport,
+      timestamp: string,
+    }),
+  },
+  "task-updated": {
+    description:
+      "A task or sub-todo of a todo list changed status or result (sent after its update-item)",
+    schema: ref("TaskUpdate"),
+  },
+  "task-unblocked": {
+    description:
+      "The last unfinished prerequisite (unblockedBy) of a task finished or left the board",
+    schema: object({
+      ...eventFields,
+      itemId: string,
+      taskId: string,
+      unblockedBy: string,
+      item: ref("BoardItem"),
+    }),
+  },
+  "item-locked": {
+    description: "Someone started editing an item",
+    schema: object({ ...eventFields, itemId: string, lock: ref("Lock") }),
+  },
+  "item-unlocked": {
+    description: "An item's lock was released, forced, expired or deleted",
+    schema: object({
+      ...eventFields,
+      itemId: string,
+      lock: ref("Lock"),
+      reason: { enum: ["released", "forced", "expired", "deleted"] },
+    }),
+  },
+  "resync-required": {
+    description:
+      "Missed events are no longer available after a reconnect; reload the board",
+    schema: object({
+      boardId: string,
+      lastEventId: { type: "integer" },
+      oldestAvailable: { type: ["integer", "null"] },
+      timestamp: string,
+    }),
+  },
+};
+
+const SCHEMAS = {
+  BoardItem: {
+    description: "Any board item; see the schema for its type",
+    anyOf: Object.keys(ITEM_SCHEMAS).map((type) => ref(itemSchemaName(type))),
+  },
+  ...Object.fromEntries(
+    Object.entries(ITEM_SCHEMAS).map(([type, schema]) => [
+      itemSchemaName(type),
+      schema,
+    ])
+  ),
+  ...Object.fromEntries(
+    Object.entries(COMPONENT_TYPES).map(([componentType, { props }]) => [
+      `${componentType}Props`,
+      props,
+    ])
+  ),
+  ...Object.fromEntries(
+    Object.entries(REQUEST_BODIES).map(([body, schema]) => [
+      requestSchemaName(body),
+      schema,
+    ])
+  ),
+  ...Object.fromEntries(
+    Object.entries(SSE_EVENTS).map(([event, { schema }]) => [
+      eventSchemaName(event),
+      schema,
+    ])
+  ),
+  Error: object({ error: string }, ["error"]),
+  ValidationError: object(
+    {
+      error: string,
+      errors: arrayOf(
+        object(
+          {
+            pointer: { ...string, description: "JSON pointer to the field" },
+            message: string,
+            keyword: string,
+            itemId: {
+              ...string,
+              description: "For whole-board writes, the item at fault",
+            },
+          },
+          ["pointer", "message", "keyword"]
+        )
+      ),
+    },
+    ["error", "errors"]
+  ),
+  TaskUpdate: object({
+    ...eventFields,
+    itemId: string,
+    taskId: string,
+    subTodoId: string,
+    status: { enum: TASK_STATUSES },
+    previousStatus: { enum: TASK_STATUSES },
+    result: string,
+    finishedSubTodoIds: {
+      ...arrayOf(string),
+      description: "Open sub-todos finished along with a completed task",
+    },
+    taskStatus: {
+      enum: TASK_STATUSES,
+      description: "Status of the task after the update",
+    },
+    progress: object({
+      finished: { type: "integer" },
+      total: { type: "integer" },
+      complete: { type: "boolean" },
+    }),
+    unblocked: {
+      ...arrayOf(object({ itemId: string, taskId: string })),
+      description: "Tasks this update unblocked (responses only)",
+    },
+    reason: {
+      enum: ["claimed", "completed", "failed", "lease-expired"],
+      description: "Set when the work queue made the change",
+    },
+    leaseId: string,
+    error: { ...string, description: "Why a leased task was failed" },
+    item: ref("BoardItem"),
+  }),
+  Lease: object(
+    {
+      id: string,
+      agent: string,
+      claimedAt: string,
+      expiresAt: string,
+      itemId: string,
+      taskId: string,
+    },
+    ["id", "agent", "expiresAt"]
+  ),
+  ClaimedWork: object(
+    {
+      leaseId: string,
+      expiresAt: string,
+      itemId: string,
+      taskId: string,
+      task: { type: "object", description: "The task, now executing" },
+      todo: object({ title: string, description: string }),
+    },
+    ["leaseId", "expiresAt", "itemId", "taskId", "task"]
+  ),
+  Agent: object(
+    {
+      id: { ...string, description: "Slug of the name" },
+      name: string,
+      description: string,
+      capabilities: arrayOf(string),
+      mode: { enum: AGENT_MODES },
+      callbackUrl: {
+        ...string,
+        description:
+          "Gets a work-available POST, signed in X-Board-Signature, when there is work to claim",
+      },
+      status: { enum: ["online", "offline"] },
+      registeredAt: string,
+      lastHeartbeat: string,
+      statusChangedAt: string,
+    },
+    ["id", "name", "capabilities", "mode", "status"]
+  ),
+  Lock: lockSchema,
+  Presence: presenceSchema,
+  ComponentType: object({
+    componentType: { enum: Object.keys(COMPONENT_TYPES) },
+    description: string,
+    defaultSize: object({ width: number, height: number }),
+    propsSchema: { type: "object" },
+  }),
+  Board: object(
+    {
+      id: { ...string, pattern: BOARD_ID_PATTERN.source },
+      name: string,
+      description: string,
+      createdAt: string,
+      updatedAt: string,
+    },
+    ["id", "name"]
+  ),
+  Operation: object({
+    id: string,
+    action: {
+      enum: [
+        "create",
+        "update",
+        "delete",
+        "bulk-delete",
+        "replace",
+        "undo",
+        "redo",
+      ],
+    },
+    actor: string,
+    target: { ...string, description: "Operation undone or redone" },
+    changes: arrayOf(
+      object({
+        itemId: string,
+        before: { anyOf: [ref("BoardItem"), { type: "null" }] },
+        after: { anyOf: [ref("BoardItem"), { type: "null" }] },
+      })
+    ),
+    undone: { type: "boolean" },
+    timestamp: string,
+  }),
+  Snapshot: object({
+    id: string,
+    label: string,
+    itemCount: { type: "integer" },
+    createdBy: string,
+    createdAt: string,
+  }),
+  Bundle: object(
+    {
+      format: { const: "canvas-board-bundle" },
+      schemaVersion: { type: "integer", minimum: 1 },
+      exportedAt: string,
+      board: ref("Board"),
+      zones: { type: "object" },
+      metadata: { type: "object" },
+      items: arrayOf(ref("BoardItem")),
+    },
+    ["format", "schemaVersion", "items"]
+  ),
+};
+
+const json = (schema, description = "OK") => ({
+  description,
+  content: { "application/json": { schema } },
+});
+const errorResponse = (description) => json(ref("Error"), description);
+const invalid = json(ref("ValidationError"), "Invalid request or item");
+const notFound = errorResponse("Not found");
+const itemResponse = (description = "The item") =>
+  json(ref("BoardItem"), description);
+const success = (properties = {}) =>
+  json(
+    object({ success: { type: "boolean" }, message: string, ...properties })
+  );
+
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  schema,
+  ...(description ? { description } : {}),
+});
+const zoneParameter = query(
+  "zone",
+  { enum: Object.keys(ZONES) },
+  "Canvas zone"
+);
+const legacyStatuses = query(
+  "statuses",
+  { enum: ["legacy"] },
+  "Send todo task statuses as todo/in_progress/done (read-only view)"
+);
+const ifMatch = {
+  name: "If-Match",
+  in: "header",
+  schema: string,
+  description:
+    'Item version from the ETag ("3"); the write is refused with 409 if the item has changed',
+};
+
+const taskUpdateResponses = {
+  200: json(ref("TaskUpdate"), "Updated"),
+  400: invalid,
+  404: errorResponse("No such todo list, task or sub-todo"),
+  409: errorResponse(
+    "Not a forward move, a blocked task, unfinished sub-todos, or the item has changed since the If-Match version"
+  ),
+  423: errorResponse("Locked by someone else"),
+};
+
+// Every route. `scope: "board"` routes exist for the default board under /api
+// and for any board under /api/boards/{boardId}.
+const OPERATIONS = [
+  {
+    method: "get",
+    path: "/",
+    tag: "Meta",
+    summary: "API name, status and endpoint list",
+    responses: { 200: json({ type: "object" }) },
+  },
+  {
+    method: "get",
+    path: "/openapi.json",
+    tag: "Meta",
+    summary: "This document",
+    responses: { 200: json({ type: "object" }) },
+  },
+  {
+    method: "get",
+    path: "/boards",
+    tag: "Boards",
+    summary: "List boards",
+    responses: { 200: json(arrayOf(ref("Board"))) },
+  },
+  {
+    method: "post",
+    path: "/boards",
+    tag: "Boards",
+    summary: "Create a board",
+    body: "createBoard",
+    responses: {
+      201: json(ref("Board"), "Created"),
+      409: errorResponse("A board with this id exists"),
+    },
+  },
+  {
+    method: "get",
+    path: "/boards/:boardId",
+    tag: "Boards",
+    summary: "Board metadata",
+    responses: { 200: json(ref("Board")), 404: notFound },
+  },
+  {
+    method: "delete",
+    path: "/boards/:boardId",
+    tag: "Boards",
+    summary: "Delete a board and everything on it",
+    responses: {
+      200: json(object({ message: string, board: ref("Board") })),
+      404: notFound,
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/health",
+    tag: "Meta",
+    summary: "Health, storage backend and event transport",
+    responses: {
+      200: json({ type: "object" }),
+      503: json({ type: "object" }, "Storage can't be read"),
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/events",
+    tag: "Events",
+    summary: "Server-Sent Events stream of board events",
+    description:
+      "Each board event is sent with its seq as the SSE id. Reconnect with Last-Event-ID (or ?lastEventId=) to replay missed events. The event names and payloads are listed under x-events.",
+    parameters: [
+      query("events", string, "Comma-separated event names to receive"),
+      query("types", string, "Comma-separated item types"),
+      zoneParameter,
+      query("lastEventId", { type: "integer" }, "Replay events after this seq"),
+      {
+        name: "Last-Event-ID",
+        in: "header",
+        schema: { type: "integer" },
+      },
+    ],
+    responses: {
+      200: {
+        description: "Event stream",
+        content: {
+          "text/event-stream": {
+            schema: {
+              oneOf: Object.keys(SSE_EVENTS).map((event) =>
+                ref(eventSchemaName(event))
+              ),
+            },
+          },
+        },
+      },
+      400: errorResponse("Invalid filter"),
+    },
+    "x-events": Object.fromEntries(
+      Object.entries(SSE_EVENTS).map(([event, { description }]) => [
+        event,
+        { description, payload: ref(eventSchemaName(event)) },
+      ])
+    ),
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/collab",
+    tag: "Events",
+    summary: "Collaboration WebSocket (standalone servers only)",
+    description:
+      "Upgrade to a WebSocket (?name=&role=&clientType=). Carries board events as { type: 'event', event, data } plus cursor, viewport, selection and drag messages from participants.",
+    parameters: [
+      query("name", string),
+      query("role", { enum: ROLES }),
+      query("clientType", { enum: CLIENT_TYPES }),
+    ],
+    responses: { 101: { description: "Switching Protocols" }, 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/board-items",
+    tag: "Items",
+    summary: "List board items, optionally filtered",
+    parameters: [
+      query(
+        "type",
+        string,
+        `Comma-separated item types (${ITEM_TYPES.join(", ")})`
+      ),
+      zoneParameter,
+      query("updatedSince", string, "ISO date"),
+      legacyStatuses,
+    ],
+    responses: {
+      200: json(arrayOf(ref("BoardItem"))),
+      400: errorResponse("Invalid query"),
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/board-items",
+    tag: "Items",
+    summary: "Create a board item",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/board-items/:id",
+    tag: "Items",
+    summary: "Get one item, with its version as ETag",
+    parameters: [legacyStatuses],
+    responses: {
+      200: itemResponse(),
+      400: errorResponse("Invalid query"),
+      404: notFound,
+    },
+  },
+  {
+    scope: "board",
+    method: "put",
+    path: "/board-items/:id",
+    tag: "Items",
+    summary: "Update an item",
+    parameters: [ifMatch],
+    responses: {
+      200: itemResponse("Updated"),
+      400: invalid,
+      404: notFound,
+      409: json(
+        object({ error: string, item: ref("BoardItem") }),
+        "The item has changed since the If-Match version"
+      ),
+      423: json(
+        object({ error: string, lock: ref("Lock") }),
+        "Locked by someone else"
+      ),
+    },
+  },
+  {
+    scope: "board",
+    method: "delete",
+    path: "/board-items/:id",
+    tag: "Items",
+    summary: "Delete an item",
+    parameters: [ifMatch],
+    responses: {
+      200: json(object({ message: string })),
+      404: notFound,
+      409: errorResponse("The item has changed since the If-Match version"),
+      423: errorResponse("Locked by someone else"),
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/board-items/:id/lock",
+    tag: "Locks",
+    summary: "Lock an item for editing, or renew your lock",
+    responses: {
+      200: json(ref("Lock")),
+      404: notFound,
+      409: json(
+        object({ error: string, lock: ref("Lock") }),
+        "Held by someone else"
+      ),
+    },
+  },
+  {
+    scope: "board",
+    method: "delete",
+    path: "/board-items/:id/lock",
+    tag: "Locks",
+    summary: "Release a lock",
+    parameters: [
+      query(
+        "force",
+        { enum: ["true", "false"] },
+        "Release someone else's lock"
+      ),
+    ],
+    responses: {
+      200: success({ lock: ref("Lock") }),
+      403: errorResponse("Held by someone else"),
+      404: notFound,
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/locks",
+    tag: "Locks",
+    summary: "Items currently locked",
+    responses: { 200: json(arrayOf(ref("Lock"))) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/todos",
+    tag: "Agent items",
+    summary: "Create a todo list",
+    description:
+      "Same task model and pipeline as /enhanced-todo; legacy todo/in_progress/done statuses are mapped to pending/executing/finished.",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/enhanced-todo",
+    tag: "Agent items",
+    summary: "Create a todo list with agent-delegated tasks",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "patch",
+    path: "/enhanced-todo/:itemId/tasks/:taskId",
+    tag: "Agent items",
+    summary: "Move a task to executing or finished, with a result note",
+    description: "Works on any todo list, including ones created with /todos.",
+    parameters: [ifMatch],
+    responses: taskUpdateResponses,
+  },
+  {
+    scope: "board",
+    method: "patch",
+    path: "/enhanced-todo/:itemId/tasks/:taskId/sub-todos/:subTodoId",
+    tag: "Agent items",
+    summary: "Update a sub-todo; its task follows",
+    parameters: [ifMatch],
+    responses: taskUpdateResponses,
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/agents",
+    tag: "Agent items",
+    summary: "Create an agent result",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/lab-results",
+    tag: "Agent items",
+    summary: "Create a lab result",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/components/types",
+    tag: "Components",
+    summary: "Component types with their props schema and default size",
+    responses: { 200: json(arrayOf(ref("ComponentType"))) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/components",
+    tag: "Components",
+    summary: "Create a dashboard component",
+    responses: { 201: itemResponse("Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/focus",
+    tag: "Canvas",
+    summary: "Ask every canvas to focus an item",
+    responses: { 200: success({ itemId: string }), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/reset-cache",
+    tag: "Canvas",
+    summary: "Reload items from storage",
+    responses: { 200: success({ itemCount: { type: "integer" } }) },
+  },
+  {
+    scope: "board",
+    method: "delete",
+    path: "/task-zone",
+    tag: "Canvas",
+    summary: "Remove API-created items from the Task Management Zone",
+    responses: {
+      200: success({
+        removedCount: { type: "integer" },
+        remainingCount: { type: "integer" },
+      }),
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/undo",
+    tag: "History",
+    summary: "Undo the latest operation",
+    responses: {
+      200: success({ operation: ref("Operation"), target: ref("Operation") }),
+      404: errorResponse("Nothing to undo"),
+      409: errorResponse("Changed by someone else since"),
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/redo",
+    tag: "History",
+    summary: "Redo the latest undone operation",
+    responses: {
+      200: success({ operation: ref("Operation"), target: ref("Operation") }),
+      404: errorResponse("Nothing to redo"),
+      409: errorResponse("Changed by someone else since"),
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/operations",
+    tag: "History",
+    summary: "Operation log, newest first",
+    parameters: [
+      query("limit", { type: "integer", minimum: 1, maximum: 500 }),
+      query("actor", string),
+    ],
+    responses: { 200: json(arrayOf(ref("Operation"))) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/snapshots",
+    tag: "Snapshots",
+    summary: "Save the board under a label",
+    responses: { 201: json(ref("Snapshot"), "Created"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/snapshots",
+    tag: "Snapshots",
+    summary: "List snapshots, newest first",
+    responses: { 200: json(arrayOf(ref("Snapshot"))) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/snapshots/:id/restore",
+    tag: "Snapshots",
+    summary: "Restore a snapshot",
+    responses: {
+      200: success({ snapshotId: string, itemCount: { type: "integer" } }),
+      400: invalid,
+      404: notFound,
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/export",
+    tag: "Snapshots",
+    summary: "Download the board as a bundle",
+    responses: { 200: json(ref("Bundle")) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/import",
+    tag: "Snapshots",
+    summary: "Import a bundle from GET /export",
+    parameters: [
+      query("mode", { enum: IMPORT_MODES }),
+      query("onConflict", { enum: CONFLICT_STRATEGIES }),
+    ],
+    requestBody: {
+      required: true,
+      content: { "application/json": { schema: ref("Bundle") } },
+    },
+    responses: { 200: success(), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/presence",
+    tag: "Presence",
+    summary: "Who is connected to the board",
+    responses: {
+      200: json(
+        object({
+          count: { type: "integer" },
+          presenter: { anyOf: [ref("Presence"), { type: "null" }] },
+          presence: arrayOf(ref("Presence")),
+        })
+      ),
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/presence",
+    tag: "Presence",
+    summary: "Join the board",
+    responses: { 201: json(ref("Presence"), "Joined"), 400: invalid },
+  },
+  {
+    scope: "board",
+    method: "put",
+    path: "/presence/:id",
+    tag: "Presence",
+    summary: "Change name, role or client type",
+    responses: { 200: json(ref("Presence")), 400: invalid, 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/presence/:id/heartbeat",
+    tag: "Presence",
+    summary: "Keep a presence entry alive",
+    responses: { 200: json(ref("Presence")), 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "put",
+    path: "/presence/:id/viewport",
+    tag: "Presence",
+    summary: "Share the presenter's viewport",
+    responses: {
+      200: json(ref("Presence")),
+      400: invalid,
+      403: errorResponse("Not the presenter"),
+      404: notFound,
+    },
+  },
+  {
+    scope: "board",
+    method: "delete",
+    path: "/presence/:id",
+    tag: "Presence",
+    summary: "Leave the board",
+    responses: { 200: success({ presence: ref("Presence") }), 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/agent-registry",
+    tag: "Agents",
+    summary: "Registered agents with their online status",
+    responses: { 200: json(arrayOf(ref("Agent"))) },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/agent-registry",
+    tag: "Agents",
+    summary: "Register an agent, or update its registration",
+    responses: {
+      200: json(ref("Agent"), "Updated"),
+      201: json(ref("Agent"), "Registered"),
+      400: invalid,
+    },
+  },
+  {
+    scope: "board",
+    method: "get",
+    path: "/agent-registry/:id",
+    tag: "Agents",
+    summary: "One agent, by id or name",
+    responses: { 200: json(ref("Agent")), 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/agent-registry/:id/heartbeat",
+    tag: "Agents",
+    summary: "Stay online (agents go offline after 90 seconds without one)",
+    responses: { 200: json(ref("Agent")), 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "delete",
+    path: "/agent-registry/:id",
+    tag: "Agents",
+    summary: "Unregister an agent",
+    responses: { 200: success({ agent: ref("Agent") }), 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/work/claim",
+    tag: "Work",
+    summary: "Claim the next pending task assigned to an agent",
+    description:
+      "Offers pending, unblocked tasks whose `agent` is the caller and whose `requires` capabilities it has. The task moves to executing under a lease; it returns to pending if the lease runs out.",
+    responses: {
+      200: json(ref("ClaimedWork"), "Claimed"),
+      204: { description: "Nothing to claim" },
+      400: invalid,
+    },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/work/leases/:leaseId/renew",
+    tag: "Work",
+    summary: "Extend a lease",
+    responses: { 200: json(ref("Lease")), 400: invalid, 404: notFound },
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/work/leases/:leaseId/complete",
+    tag: "Work",
+    summary: "Finish a claimed task with its result",
+    responses: taskUpdateResponses,
+  },
+  {
+    scope: "board",
+    method: "post",
+    path: "/work/leases/:leaseId/fail",
+    tag: "Work",
+    summary: "Give a claimed task back to the queue",
+    responses: {
+      200: json(ref("TaskUpdate"), "Back to pending"),
+      400: invalid,
+      404: notFound,
+      423: errorResponse("Locked by someone else"),
+    },
+  },
+];
+
+// "/board-items/:id" -> "/board-items/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const pathParameters = (path) =>
+  (path.match(/:(\w+)/g) || []).map((param) => ({
+    name: param.slice(1),
+    in: "path",
+    required: true,
+    schema: string,
+  }));
+
+const requestBodyFor = ({ scope, method, path, body }) => {
+  const name =
+    body ||
+    (scope === "board" &&
+      (
+        BODY_ROUTES.find(
+          (route) => route.method === method && route.path === path
+        ) || {}
+      ).body);
+  if (!name) return undefined;
+  return {
+    required: true,
+    content: {
+      "application/json": { schema: ref(requestSchemaName(name)) },
+    },
+  };
+};
+
+// Board routes can also be called on any board by ID
+const BOARD_SERVERS = [
+  { url: "/api", description: `The ${DEFAULT_BOARD_ID} board` },
+  {
+    url: "/api/boards/{boardId}",
+    description: "Any board",
+    variables: { boardId: { default: DEFAULT_BOARD_ID } },
+  },
+];
+
+const toOperation = (operation) => {
+  const { method, path, tag, summary, description, responses } = operation;
+  const parameters = [
+    ...pathParameters(path),
+    ...(operation.parameters || []),
+    ...(method === "get" ? [] : [{ $ref: "#/components/parameters/Actor" }]),
+  ];
+  const requestBody = operation.requestBody || requestBodyFor(operation);
+
+  return {
+    operationId: `${method}${pascalCase(path) || "Root"}`,
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses,
+    ...(operation["x-events"] ? { "x-events": operation["x-events"] } : {}),
+  };
+};
+
+const buildPaths = () => {
+  const paths = {};
+  OPERATIONS.forEach((operation) => {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = paths[path] || {};
+    if (operation.scope === "board") paths[path].servers = BOARD_SERVERS;
+    paths[path][operation.method] = toOperation(operation);
+  });
+  return paths;
+};
+
+let document = null;
+
+// The OpenAPI document, built once
+const getOpenApiDocument = () => {
+  if (!document) {
+    document = {
+      openapi: "3.1.0",
+      info: {
+        title: "Canvas Board API",
+        version: "1.0.0",
+        description:
+          "Board items, agent-facing endpoints, history, presence, locks and real-time events for the canvas board. Routes on the default board also exist for any board under /api/boards/{boardId}. Writes accept an X-Actor header naming who made the change.",
+      },
+      servers: [{ url: "/api" }],
+      tags: [...new Set(OPERATIONS.map((operation) => operation.tag))].map(
+        (name) => ({ name })
+      ),
+      paths: buildPaths(),
+      components: {
+        schemas: SCHEMAS,
+        parameters: {
+          Actor: {
+            name: "X-Actor",
+            in: "header",
+            schema: string,
+            description:
+              'Who is making the change, as recorded in the operation log (default "api")',
+          },
+        },
+      },
+    };
+  }
+  return document;
+};
+
+// "METHOD /api/path" -> summary, for the root endpoint
+const listEndpoints = () =>
+  Object.fromEntries(
+    OPERATIONS.map(({ method, path, summary }) => [
+      `${method.toUpperCase()} /api${path === "/" ? "" : path}`,
+      summary,
+    ])
+  );
+
+module.exports = { getOpenApiDocument, listEndpoints, OPERATIONS, SSE_EVENTS };
@@ -0,0 +1,256 @@
+// Board presence - who is connected to a board right now.
+//
+// Every client (Meet main stage, side panel, browser tab, agent, WebSocket
+// participant) registers an entry and keeps it alive with heartbeats; entries
+// not seen for PRESENCE_TTL_MS are dropped. Joins, updates and leaves are
+// board events ("presence-join", "presence-update", "presence-leave").
+//
+// At most one entry holds the presenter role. The presenter's viewport is
+// sent as an unbuffered "presenter-viewport" signal that other clients can
+// choose to follow, and kept on the entry for clients that join later.
+
+const PRESENCE_TTL_MS = 60000;
+const SWEEP_INTERVAL_MS = 15000;
+const MAX_NAME_LENGTH = 80;
+
+const ROLES = ["participant", "presenter", "viewer"];
+const CLIENT_TYPES = ["browser", "main-stage", "side-panel", "agent"];
+
+// Errors the routes turn into a response with the given status
+const presenceError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const cleanName = (name) =>
+  typeof name === "string" && name.trim()
+    ? name.trim().slice(0, MAX_NAME_LENGTH)
+    : null;
+
+// Viewport as the world coordinates of its center plus zoom, so clients with
+// different screen sizes can show the same area. Returns { viewport } or
+// { error }.
+const parseViewport = ({ x, y, zoom, width, height } = {}) => {
+  if (!isNumber(x) || !isNumber(y) || !isNumber(zoom) || zoom <= 0) {
+    return { error: "viewport needs numeric x, y and a positive zoom" };
+  }
+  const viewport = { x, y, zoom };
+  if (isNumber(width)) viewport.width = width;
+  if (isNumber(height)) viewport.height = height;
+  return { viewport };
+};
+
+// Validate name/role/clientType from a request. Returns { fields } or
+// { error }; with `partial`, missing fields are left out instead of defaulted.
+const parsePresence = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = cleanName(body.name);
+    if (body.name !== undefined && !name) {
+      return { error: "name must be a non-empty string" };
+    }
+    fields.name = name || "Guest";
+  }
+
+  if (body.role !== undefined || !partial) {
+    const role = body.role === undefined ? "participant" : body.role;
+    if (!ROLES.includes(role)) {
+      return { error: `role must be one of: ${ROLES.join(", ")}` };
+    }
+    fields.role = role;
+  }
+
+  if (body.clientType !== undefined || !partial) {
+    const clientType =
+      body.clientType === undefined ? "browser" : body.clientType;
+    if (!CLIENT_TYPES.includes(clientType)) {
+      return {
+        error: `clientType must be one of: ${CLIENT_TYPES.join(", ")}`,
+      };
+    }
+    fields.clientType = clientType;
+  }
+
+  return { fields };
+};
+
+const createPresence = ({ store, events }) => {
+  let sweeper = null;
+
+  const isExpired = (entry, now = Date.now()) =>
+    now - Date.parse(entry.lastSeen) > PRESENCE_TTL_MS;
+
+  const announce = (event, entry, details = {}) =>
+    events.broadcast({
+      event,
+      presenceId: entry.id,
+      presence: entry,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+
+  // Drop entries whose client stopped sending heartbeats
+  const prune = async () => {
+    const now = Date.now();
+    const expired = await store.removeItems((entry) => isExpired(entry, now));
+    for (const entry of expired) {
+      await announce("presence-leave", entry, { reason: "timeout" });
+    }
+    if (expired.length > 0) {
+      console.log(`👻 Dropped ${expired.length} stale presence entries`);
+    }
+  };
+
+  // Sweep in the background once anyone has joined, so leave events go out
+  // even if nobody lists the board
+  const ensureSweeper = () => {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      prune().catch((error) =>
+        console.error("Error pruning presence entries:", error)
+      );
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  };
+
+  const list = async () => {
+    await prune();
+    return store.listItems();
+  };
+
+  const get = async (id) => {
+    const entry = await store.getItem(id);
+    return entry && !isExpired(entry) ? entry : null;
+  };
+
+  const getPresenter = async () =>
+    (await list()).find((entry) => entry.role === "presenter") || null;
+
+  // Only one presenter at a time: whoever takes the role last keeps it
+  const demotePresenters = async (exceptId) => {
+    const presenters = (await store.listItems()).filter(
+      (entry) => entry.role === "presenter" && entry.id !== exceptId
+    );
+    for (const presenter of presenters) {
+      const demoted = await store.updateItem(presenter.id, (entry) => ({
+        ...entry,
+        role: "participant",
+      }));
+      if (demoted) {
+        await announce("presence-update", demoted, {
+          reason: "presenter-changed",
+        });
+      }
+    }
+  };
+
+  const join = async (fields, { connection = "http" } = {}) => {
+    const now = new Date().toISOString();
+    const entry = {
+      id: `presence-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      name: fields.name,
+      role: fields.role,
+      clientType: fields.clientType,
+      connection,
+      joinedAt: now,
+      lastSeen: now,
+    };
+
+    if (entry.role === "presenter") await demotePresenters(entry.id);
+    await store.insertItem(entry);
+    await announce("presence-join", entry);
+    ensureSweeper();
+
+    console.log(
+      `🙋 ${entry.name} joined as ${entry.role} (${entry.clientType})`
+    );
+    return entry;
+  };
+
+  const update = async (id, fields) => {
+    if (!(await get(id))) return null;
+    if (fields.role === "presenter") await demotePresenters(id);
+
+    const entry = await store.updateItem(id, (current) => ({
+      ...current,
+      ...fields,
+      lastSeen: new Date().toISOString(),
+    }));
+    if (entry) await announce("presence-update", entry);
+    return entry;
+  };
+
+  // Heartbeat: keep the entry alive without an event
+  const touch = async (id) => {
+    if (!(await get(id))) return null;
+    return store.updateItem(id, (current) => ({
+      ...current,
+      lastSeen: new Date().toISOString(),
+    }));
+  };
+
+  const leave = async (id, reason = "left") => {
+    const entry = await store.removeItem(id);
+    if (entry) {
+      await announce("presence-leave", entry, { reason });
+      console.log(`👋 ${entry.name} left the board`);
+    }
+    return entry;
+  };
+
+  const shareViewport = async (id, viewport) => {
+    const current = await get(id);
+    if (!current) return null;
+    if (current.role !== "presenter") {
+      throw presenceError(403, "Only the presenter can share a viewport");
+    }
+
+    const entry = await store.updateItem(id, (stored) => ({
+      ...stored,
+      viewport,
+      lastSeen: new Date().toISOString(),
+    }));
+    await events.signal({
+      event: "presenter-viewport",
+      presenceId: id,
+      name: entry.name,
+      viewport,
+      timestamp: new Date().toISOString(),
+    });
+    return entry;
+  };
+
+  const close = () => {
+    if (sweeper) clearInterval(sweeper);
+    sweeper = null;
+  };
+
+  // Forget everyone (used when the board is deleted)
+  const destroy = async () => {
+    close();
+    await store.destroy();
+  };
+
+  return {
+    list,
+    get,
+    getPresenter,
+    join,
+    update,
+    touch,
+    leave,
+    shareViewport,
+    close,
+    destroy,
+  };
+};
+
+module.exports = {
+  createPresence,
+  parsePresence,
+  parseViewport,
+  PRESENCE_TTL_MS,
+  ROLES,
+  CLIENT_TYPES,
+};
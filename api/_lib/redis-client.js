@@ -0,0 +1,70 @@
+// Shared Redis connection used by the Redis-backed storage
+const { createClient } = require("redis");
+
+let redisClient = null;
+let connecting = null;
+let redisConnected = false;
+let warnedNoUrl = false;
+
+const connectClient = async () => {
+  const client = createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      reconnectStrategy: (retries) => {
+        if (retries > 3) {
+          console.log("❌ Redis reconnection failed after 3 attempts");
+          return new Error("Redis connection failed");
+        }
+        return retries * 100;
+      },
+    },
+  });
+
+  client.on("error", (err) => {
+    console.error("Redis Client Error:", err);
+    redisConnected = false;
+  });
+
+  client.on("connect", () => {
+    console.log("✅ Redis connected");
+    redisConnected = true;
+  });
+
+  try {
+    await client.connect();
+    redisClient = client;
+    return client;
+  } catch (error) {
+    console.error("Failed to connect to Redis:", error);
+    redisConnected = false;
+    return null;
+  }
+};
+
+// One client per process: callers share it while it reconnects (check
+// isRedisConnected()), and share a single pending attempt to replace it
+// once it has given up
+const getRedisClient = async () => {
+  if (redisClient && redisClient.isOpen) {
+    return redisClient;
+  }
+
+  if (!process.env.REDIS_URL) {
+    if (!warnedNoUrl) {
+      console.log("⚠️  No REDIS_URL found, using in-memory storage");
+      warnedNoUrl = true;
+    }
+    return null;
+  }
+
+  if (!connecting) {
+    connecting = connectClient().finally(() => {
+      connecting = null;
+    });
+  }
+  return connecting;
+};
+
+const isRedisConnected = () => redisConnected;
+
+module.exports = { getRedisClient, isRedisConnected };
@@ -0,0 +1,350 @@
+// JSON Schemas for request bodies, keyed by operation. Board routes listed in
+// BODY_ROUTES have their body checked with validateBody() before the handler
+// runs, and the OpenAPI document (openapi.js) publishes the same schemas, so
+// the contract can't drift from what the server accepts.
+const { BOARD_ID_PATTERN, BOARD_SEEDS } = require("./boards");
+const { ROLES, CLIENT_TYPES } = require("./presence");
+const { MAX_LOCK_TTL_SECONDS } = require("./locks");
+const { AGENT_MODES } = require("./agents");
+const { MAX_LEASE_SECONDS } = require("./work-queue");
+const {
+  ITEM_TYPES,
+  LAB_RESULT_STATUSES,
+  LAB_RESULT_TRENDS,
+  compileSchema,
+} = require("./storage/schemas");
+const { COMPONENT_TYPE_NAMES } = require("./storage/component-types");
+const {
+  taskStatusSchema,
+  anyCaseTaskStatusSchema,
+} = require("./storage/task-statuses");
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const number = { type: "number" };
+
+// Optional canvas position; agent-facing endpoints fall back to the Task
+// Management Zone
+const position = {
+  x: { ...number, description: "Canvas x (auto-positioned if omitted)" },
+  y: { ...number, description: "Canvas y (auto-positioned if omitted)" },
+};
+
+const body = (properties, required = [], description) => ({
+  type: "object",
+  ...(description ? { description } : {}),
+  ...(required.length > 0 ? { required } : {}),
+  properties,
+});
+
+const leaseSeconds = {
+  type: "integer",
+  minimum: 1,
+  maximum: MAX_LEASE_SECONDS,
+  description: "Seconds until the task returns to pending (default 300)",
+};
+
+// A task of a new todo list, the same for /todos and /enhanced-todo.
+// /todos keeps accepting statuses in any case, as it always has.
+const taskInput = (required, status = taskStatusSchema) =>
+  body(
+    {
+      id: { ...nonEmptyString, description: "Generated if omitted" },
+      text: nonEmptyString,
+      status,
+      agent: nonEmptyString,
+      dependsOn: {
+        type: "array",
+        items: nonEmptyString,
+        uniqueItems: true,
+        description:
+          "IDs of tasks, on this or another todo of the board, that must finish first",
+      },
+      requires: {
+        type: "array",
+        items: nonEmptyString,
+        uniqueItems: true,
+        description:
+          "Capabilities an agent needs to claim the task from the work queue",
+      },
+      subTodos: {
+        type: "array",
+        items: body({ text: nonEmptyString, status }, ["text"]),
+      },
+    },
+    required
+  );
+
+const presenceFields = {
+  name: nonEmptyString,
+  role: { enum: ROLES },
+  clientType: { enum: CLIENT_TYPES },
+};
+
+const REQUEST_BODIES = {
+  createBoardItem: body(
+    {
+      type: { enum: ITEM_TYPES },
+      componentType: { enum: COMPONENT_TYPE_NAMES },
+      ...position,
+      width: number,
+      height: number,
+      content: { type: ["string", "object"] },
+      color: { type: "string" },
+      rotation: number,
+      ehrData: { type: "object" },
+    },
+    ["type"]
+  ),
+  updateBoardItem: body(
+    {},
+    [],
+    "Fields to change. The updated item must still match the schema for its type, and its id can't change."
+  ),
+  createTodo: body(
+    {
+      title: nonEmptyString,
+      description: { type: "string" },
+      todo_items: {
+        type: "array",
+        description:
+          "Tasks as strings or task objects; statuses may use either vocabulary in any case, default to pending and are refused otherwise",
+        items: {
+          ...taskInput(["text"], anyCaseTaskStatusSchema),
+          type: ["string", "object"],
+        },
+      },
+      ...position,
+    },
+    ["title", "todo_items"]
+  ),
+  createAgent: body(
+    {
+      title: nonEmptyString,
+      content: { ...nonEmptyString, description: "Markdown" },
+      ...position,
+    },
+    ["title", "content"]
+  ),
+  createLabResult: body(
+    {
+      parameter: nonEmptyString,
+      value: { type: ["string", "number"], minLength: 1 },
+      unit: nonEmptyString,
+      status: { enum: LAB_RESULT_STATUSES },
+      range: body({ min: number, max: number }, ["min", "max"]),
+      trend: { enum: LAB_RESULT_TRENDS },
+      ...position,
+    },
+    ["parameter", "value", "unit", "status", "range"]
+  ),
+  createComponent: body(
+    {
+      componentType: { enum: COMPONENT_TYPE_NAMES },
+      ...position,
+      width: number,
+      height: number,
+      props: {
+        type: "object",
+        description:
+          "Checked against the componentType's props schema (GET /api/components/types)",
+      },
+    },
+    ["componentType"]
+  ),
+  createEnhancedTodo: body(
+    {
+      title: nonEmptyString,
+      description: { type: "string" },
+      todos: {
+        type: "array",
+        items: taskInput(["text", "status", "agent"]),
+      },
+      ...position,
+      width: number,
+      height: { anyOf: [number, { const: "auto" }] },
+      color: { type: "string" },
+    },
+    ["title", "todos"]
+  ),
+  updateTask: {
+    ...body({
+      status: {
+        ...taskStatusSchema,
+        description:
+          "pending -> executing -> finished (or legacy todo/in_progress/done), one step at a time; leave it out to only update the result",
+      },
+      result: { type: "string", description: "Result note" },
+    }),
+    anyOf: [{ required: ["status"] }, { required: ["result"] }],
+  },
+  focus: body(
+    {
+      itemId: nonEmptyString,
+      objectId: { ...nonEmptyString, description: "Legacy name for itemId" },
+      subElement: { type: "string" },
+      focusOptions: body({
+        zoom: number,
+        highlight: { type: "boolean" },
+        duration: number,
+        scrollIntoView: { type: "boolean" },
+      }),
+    },
+    [],
+    "itemId (or objectId) is required"
+  ),
+  history: body({
+    actor: {
+      type: "string",
+      description: "Only undo/redo this actor's operations",
+    },
+    force: {
+      type: "boolean",
+      description: "Skip the check for later changes by others",
+    },
+  }),
+  createSnapshot: body({ label: { type: "string" } }),
+  lockItem: body({
+    ttl: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_LOCK_TTL_SECONDS,
+      description: "Seconds until the lock expires unless renewed",
+    },
+  }),
+  joinPresence: body(presenceFields),
+  updatePresence: body(presenceFields),
+  shareViewport: body(
+    {
+      x: { ...number, description: "World x of the viewport center" },
+      y: { ...number, description: "World y of the viewport center" },
+      zoom: { type: "number", exclusiveMinimum: 0 },
+      width: number,
+      height: number,
+    },
+    ["x", "y", "zoom"]
+  ),
+  registerAgent: {
+    ...body(
+      {
+        name: {
+          type: "string",
+          pattern: "[A-Za-z0-9]",
+          maxLength: 80,
+          description:
+            "Also the agent's key: tasks name it in `agent`, compared ignoring case and punctuation",
+        },
+        description: { type: "string" },
+        capabilities: {
+          type: "array",
+          items: nonEmptyString,
+          uniqueItems: true,
+          description: "What the agent can do, e.g. lab-analysis",
+        },
+        mode: {
+          enum: AGENT_MODES,
+          description:
+            "poll (default): the agent asks for work; callback: it is called when there is work to claim",
+        },
+        callbackUrl: {
+          type: "string",
+          pattern: "^https?://",
+          description:
+            "Required for callback mode; receives a signed work-available POST. Must be a public address or a host in AGENT_CALLBACK_HOSTS",
+        },
+      },
+      ["name"]
+    ),
+    if: { required: ["mode"], properties: { mode: { const: "callback" } } },
+    then: { required: ["callbackUrl"] },
+  },
+  claimWork: body(
+    {
+      agent: {
+        ...nonEmptyString,
+        description:
+          "Agent name or registry id; tasks assigned to it are offered",
+      },
+      capabilities: {
+        type: "array",
+        items: nonEmptyString,
+        description: "Defaults to the agent's registered capabilities",
+      },
+      leaseSeconds,
+    },
+    ["agent"]
+  ),
+  renewLease: body({ leaseSeconds }),
+  completeWork: body({
+    result: { type: "string", description: "Result note" },
+  }),
+  failWork: body({
+    error: { type: "string", description: "Why the agent gave up" },
+  }),
+  createBoard: body({
+    id: { type: "string", pattern: BOARD_ID_PATTERN.source },
+    name: { type: "string" },
+    description: { type: "string" },
+    seed: { enum: BOARD_SEEDS },
+  }),
+};
+
+// Board routes (relative to /api and /api/boards/:boardId) and the schema
+// their body must match
+const BODY_ROUTES = [
+  { method: "post", path: "/board-items", body: "createBoardItem" },
+  { method: "put", path: "/board-items/:id", body: "updateBoardItem" },
+  { method: "post", path: "/board-items/:id/lock", body: "lockItem" },
+  { method: "post", path: "/todos", body: "createTodo" },
+  { method: "post", path: "/agents", body: "createAgent" },
+  { method: "post", path: "/lab-results", body: "createLabResult" },
+  { method: "post", path: "/components", body: "createComponent" },
+  { method: "post", path: "/enhanced-todo", body: "createEnhancedTodo" },
+  {
+    method: "patch",
+    path: "/enhanced-todo/:itemId/tasks/:taskId",
+    body: "updateTask",
+  },
+  {
+    method: "patch",
+    path: "/enhanced-todo/:itemId/tasks/:taskId/sub-todos/:subTodoId",
+    body: "updateTask",
+  },
+  { method: "post", path: "/focus", body: "focus" },
+  { method: "post", path: "/undo", body: "history" },
+  { method: "post", path: "/redo", body: "history" },
+  { method: "post", path: "/snapshots", body: "createSnapshot" },
+  { method: "post", path: "/presence", body: "joinPresence" },
+  { method: "put", path: "/presence/:id", body: "updatePresence" },
+  { method: "put", path: "/presence/:id/viewport", body: "shareViewport" },
+  { method: "post", path: "/agent-registry", body: "registerAgent" },
+  { method: "post", path: "/work/claim", body: "claimWork" },
+  { method: "post", path: "/work/leases/:leaseId/renew", body: "renewLease" },
+  {
+    method: "post",
+    path: "/work/leases/:leaseId/complete",
+    body: "completeWork",
+  },
+  { method: "post", path: "/work/leases/:leaseId/fail", body: "failWork" },
+];
+
+const bodyValidators = Object.fromEntries(
+  Object.entries(REQUEST_BODIES).map(([name, schema]) => [
+    name,
+    compileSchema(schema),
+  ])
+);
+
+// Express middleware refusing a body that doesn't match REQUEST_BODIES[name]
+// with 400 and the list of problems
+const validateBody = (name) => (req, res, next) => {
+  const errors = bodyValidators[name](req.body || {});
+  if (errors.length === 0) return next();
+
+  const [first] = errors;
+  res.status(400).json({
+    error: `Invalid request body: ${first.pointer || "body"} ${first.message}`,
+    errors,
+  });
+};
+
+module.exports = { REQUEST_BODIES, BODY_ROUTES, validateBody };
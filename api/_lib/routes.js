@@ -0,0 +1,1322 @@
+// Board API routes shared by every server variant.
+// Mounted at /api for the default board and at /api/boards/:boardId for the
+// others; handlers use the store and event stream of req.board. Writes go
+// through req.store, which records them in the board's operation log under
+// the caller's X-Actor header (default "api") so they can be undone.
+const express = require("express");
+const { DEFAULT_BOARD_ID } = require("./boards");
+const {
+  getComponentSize,
+  isTaskZoneItem,
+  findTaskZonePosition,
+  findNonOverlappingPosition,
+} = require("./layout");
+const { updateSourceDataHeight } = require("./storage/source-data");
+const {
+  IMPORT_MODES,
+  CONFLICT_STRATEGIES,
+  createExportBundle,
+  validateBundle,
+  describeBundleDifferences,
+  mergeItems,
+} = require("./bundle");
+const { parseItemQuery, isQueryEmpty } = require("./storage/query");
+const { listComponentTypes } = require("./storage/component-types");
+const { BODY_ROUTES, validateBody } = require("./request-schemas");
+const { listEndpoints } = require("./openapi");
+const { boardRefreshEvent } = require("./item-events");
+const { parsePresence, parseViewport } = require("./presence");
+const { parseLockTtl } = require("./locks");
+const {
+  buildTasks,
+  withLegacyStatuses,
+  dependencyErrors,
+  refreshBlockedTasks,
+  affectsTasks,
+  refreshBoardTasks,
+  commitTaskUpdate,
+} = require("./tasks");
+const {
+  parseIfMatch,
+  formatEtag,
+  assertVersion,
+} = require("./storage/versions");
+
+// Generate a unique item ID
+const generateId = (prefix, length = 6) =>
+  `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, length)}`;
+
+// Who is making the change, as recorded in the operation log
+const getActor = (req) => req.get("X-Actor") || "api";
+
+// Snapshot metadata without the (large) item list
+const summarizeSnapshot = ({ items, ...summary }) => summary;
+
+// Storage problems an operator has to fix (e.g. a corrupt data file) are
+// reported as 503 with details instead of a generic 500. Errors that carry a
+// status (e.g. an edit lock held by someone else) are passed through.
+const sendError = (res, error, message) => {
+  if (error.code === "BOARD_FILE_CORRUPT") {
+    return res.status(503).json({ error: message, details: error.message });
+  }
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, ...error.details });
+  }
+  res.status(500).json({ error: message });
+};
+
+// Use provided coordinates, otherwise auto-position in the Task Zone
+const resolveTaskZonePosition = (body, tempItem, existingItems, label) => {
+  if (body.x !== undefined && body.y !== undefined) {
+    console.log(
+      `📍 Using provided coordinates for ${label} item at (${body.x}, ${body.y})`
+    );
+    return { x: body.x, y: body.y };
+  }
+
+  const taskPosition = findTaskZonePosition(tempItem, existingItems);
+  console.log(
+    `📍 Auto-positioned ${label} item in Task Zone at (${taskPosition.x}, ${taskPosition.y})`
+  );
+  return taskPosition;
+};
+
+// How items are sent back: as stored, or with ?statuses=legacy, todo tasks in
+// the old todo/in_progress/done vocabulary. null for any other value.
+const presenter = (req) => {
+  const { statuses } = req.query;
+  if (statuses === undefined) return (item) => item;
+  return statuses === "legacy" ? withLegacyStatuses : null;
+};
+
+// What task updates need from a request: its store, plus one outside the
+// undo history for the blocked-state housekeeping
+const taskContext = (req) => ({
+  store: req.store,
+  housekeeping: req.board.history.recorder(getActor(req), {
+    undoable: false,
+  }),
+  events: req.board.events,
+  actor: getActor(req),
+});
+
+// Bring blocked tasks up to date after a change that may have added,
+// removed or finished prerequisites. With `changes` ([{ before, after }]),
+// only if one of them touches a todo list's tasks: moving a sticky or
+// dragging a list around leaves the board's blocked state alone. A failure
+// is logged, not returned: the change itself went through. Returns the lists
+// that were saved.
+const refreshTasks = async (req, changes) => {
+  if (changes && !affectsTasks(changes)) return [];
+  const { housekeeping, events, actor } = taskContext(req);
+  try {
+    return await refreshBoardTasks({ store: housekeeping, events, actor });
+  } catch (error) {
+    console.error("Error refreshing blocked tasks:", error);
+    return [];
+  }
+};
+
+// Height that fits a todo list's tasks and sub-todos
+const calculateTodoHeight = (tasks, description) => {
+  const baseHeight = 80; // Header + padding
+  const rowHeight = 35; // Height per task or sub-todo
+  const descriptionHeight = description ? 20 : 0; // Extra height for description
+  const padding = 20; // Bottom padding
+
+  const rows = tasks.reduce(
+    (count, task) => count + 1 + task.subTodos.length,
+    0
+  );
+  const contentHeight =
+    baseHeight + rows * rowHeight + descriptionHeight + padding;
+
+  return Math.min(Math.max(contentHeight, 200), 600); // Min 200px, max 600px
+};
+
+const invalidTasks = (label, errors) => {
+  const [first] = errors;
+  return Object.assign(
+    new Error(`${label}: ${first.pointer} ${first.message}`),
+    { status: 400, details: { errors } }
+  );
+};
+
+// The one creation pipeline for todo lists (/api/todos and
+// /api/enhanced-todo): tasks in the shared task model (tasks.js), checked
+// against the rest of the board and the agent registry, then placed in the
+// Task Management Zone unless x and y are given. `field` is the body field
+// the tasks came in, for error pointers. Height is fitted to the tasks unless
+// a number is given. Throws 400 errors with the problems listed.
+const createTodoList = async (
+  req,
+  { id, title, description, tasks, field, x, y, width, height, color, label }
+) => {
+  const todos = buildTasks(tasks, generateId("task"));
+
+  // Load existing items for positioning BEFORE creating the item
+  const existingItems = await req.store.listItems();
+
+  // dependsOn may point at tasks of other todos on the board
+  const errors = dependencyErrors(todos, existingItems, field);
+  if (errors.length > 0) {
+    throw invalidTasks("Invalid task dependencies", errors);
+  }
+
+  // Tasks for agents the registry doesn't know are flagged, or refused with
+  // UNKNOWN_AGENTS=reject
+  const checked = await req.board.agents.checkTasks(todos, field);
+  if (checked.errors) throw invalidTasks("Unknown agent", checked.errors);
+
+  const itemHeight =
+    typeof height === "number"
+      ? height
+      : calculateTodoHeight(checked.todos, description);
+  const position = resolveTaskZonePosition(
+    { x, y },
+    { type: "todo", width, height: itemHeight },
+    existingItems,
+    label
+  );
+
+  const now = new Date().toISOString();
+  const newItem = {
+    id,
+    type: "todo",
+    x: position.x,
+    y: position.y,
+    width,
+    height: itemHeight,
+    content: "Todo List",
+    color: color || "#ffffff",
+    rotation: 0,
+    description: description || title,
+    todoData: {
+      title,
+      description: description || "",
+      todos: checked.todos,
+    },
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const item = await req.store.insertItem(
+    refreshBlockedTasks(newItem, existingItems)
+  );
+  // Tasks elsewhere may have been waiting for one of these IDs
+  const refreshed = (await refreshTasks(req)).find(
+    (entry) => entry.item.id === item.id
+  );
+  return refreshed ? refreshed.item : item;
+};
+
+const createBoardRouter = ({ boards, syncSourceHeights = false }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Resolve the board this request targets
+  router.use(async (req, res, next) => {
+    try {
+      const boardId = req.params.boardId || DEFAULT_BOARD_ID;
+      req.board = await boards.open(boardId);
+      if (!req.board) {
+        return res.status(404).json({ error: `Board ${boardId} not found` });
+      }
+      // Changes are recorded for undo, and refused on items someone else
+      // has locked
+      req.store = req.board.locks.guard(
+        req.board.history.recorder(getActor(req)),
+        getActor(req)
+      );
+      next();
+    } catch (error) {
+      console.error("Error opening board:", error);
+      res.status(500).json({ error: "Failed to open board" });
+    }
+  });
+
+  // Request bodies are checked against their schema (request-schemas.js)
+  // before the handlers below run
+  BODY_ROUTES.forEach(({ method, path, body }) =>
+    router[method](path, validateBody(body))
+  );
+
+  // SSE endpoint to push focus events to the frontend
+  router.get("/events", (req, res) => req.board.events.handleEvents(req, res));
+
+  // GET /api/board-items - Get board items, optionally filtered with
+  // ?type=todo,agent&zone=task&updatedSince=<ISO date>
+  router.get("/board-items", async (req, res) => {
+    try {
+      const { query, error } = parseItemQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const present = presenter(req);
+      if (!present) {
+        return res.status(400).json({ error: "statuses must be legacy" });
+      }
+
+      const items = isQueryEmpty(query)
+        ? await req.store.listItems()
+        : await req.store.queryItems(query);
+      res.json(items.map(present));
+    } catch (error) {
+      console.error("Error loading board items:", error);
+      sendError(res, error, "Failed to load board items");
+    }
+  });
+
+  // POST /api/board-items - Create a new board item
+  router.post("/board-items", async (req, res) => {
+    try {
+      const {
+        type,
+        componentType,
+        x,
+        y,
+        width,
+        height,
+        content,
+        color,
+        rotation,
+        ehrData,
+      } = req.body;
+
+      const id = generateId("item", 9);
+
+      // Set default values based on type
+      let defaultWidth, defaultHeight, defaultColor, defaultContent;
+
+      if (type === "component") {
+        const size = getComponentSize(componentType);
+        defaultWidth = size.width;
+        defaultHeight = size.height;
+        defaultColor = "#ffffff";
+        defaultContent = content || {};
+      } else {
+        // Legacy item types
+        defaultWidth = type === "text" ? 200 : type === "ehr" ? 550 : 150;
+        defaultHeight = type === "text" ? 100 : type === "ehr" ? 450 : 150;
+        defaultColor =
+          type === "sticky"
+            ? "#ffeb3b"
+            : type === "ehr"
+            ? "#e8f5e8"
+            : "#2196f3";
+        defaultContent =
+          type === "text"
+            ? "Double click to edit"
+            : type === "ehr"
+            ? "EHR Data"
+            : "";
+      }
+
+      const newItem = {
+        id,
+        type,
+        componentType: componentType || undefined,
+        x: x || Math.random() * 8000 + 100,
+        y: y || Math.random() * 7000 + 100,
+        width: width || defaultWidth,
+        height: height || defaultHeight,
+        content: content || defaultContent,
+        color: color || defaultColor,
+        rotation: rotation || 0,
+        ...(type === "ehr" ? { ehrData: ehrData || {} } : {}),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const item = await req.store.insertItem(newItem);
+      await refreshTasks(req, [{ before: null, after: item }]);
+
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating board item:", error);
+      sendError(res, error, "Failed to create board item");
+    }
+  });
+
+  // GET /api/board-items/:id - Get one board item, with its version as ETag
+  router.get("/board-items/:id", async (req, res) => {
+    try {
+      const present = presenter(req);
+      if (!present) {
+        return res.status(400).json({ error: "statuses must be legacy" });
+      }
+
+      const item = await req.store.getItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: "Board item not found" });
+      }
+      res.set("ETag", formatEtag(item)).json(present(item));
+    } catch (error) {
+      console.error("Error loading board item:", error);
+      sendError(res, error, "Failed to load board item");
+    }
+  });
+
+  // PUT /api/board-items/:id - Update a board item. With If-Match, the
+  // update is refused (409 with the current item) if the item has changed.
+  router.put("/board-items/:id", async (req, res) => {
+    try {
+      const { id } = req.params;
+      // The version is the server's to set
+      const { version, ...updates } = req.body || {};
+      const expectedVersion = parseIfMatch(req.get("If-Match"));
+
+      let before = null;
+      const updatedItem = await req.store.updateItem(id, (item) => {
+        assertVersion(item, expectedVersion);
+        before = item;
+        return {
+          ...item,
+          ...updates,
+          updatedAt: new Date().toISOString(),
+        };
+      });
+
+      if (!updatedItem) {
+        return res.status(404).json({ error: "Board item not found" });
+      }
+      await refreshTasks(req, [{ before, after: updatedItem }]);
+
+      // If height was updated, also update the source data file
+      if (
+        syncSourceHeights &&
+        req.board.id === DEFAULT_BOARD_ID &&
+        updates.height !== undefined
+      ) {
+        await updateSourceDataHeight(id, updates.height);
+      }
+
+      res.set("ETag", formatEtag(updatedItem)).json(updatedItem);
+    } catch (error) {
+      console.error("Error updating board item:", error);
+      sendError(res, error, "Failed to update board item");
+    }
+  });
+
+  // DELETE /api/board-items/:id - Delete a board item (honors If-Match like
+  // PUT)
+  router.delete("/board-items/:id", async (req, res) => {
+    try {
+      const expectedVersion = parseIfMatch(req.get("If-Match"));
+      const removed = await req.store.removeItem(req.params.id, (current) =>
+        assertVersion(current, expectedVersion)
+      );
+
+      if (!removed) {
+        return res.status(404).json({ error: "Board item not found" });
+      }
+      await refreshTasks(req, [{ before: removed, after: null }]);
+
+      res.json({ message: "Board item deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting board item:", error);
+      sendError(res, error, "Failed to delete board item");
+    }
+  });
+
+  // POST /api/board-items/:id/lock - Lock an item while dragging or editing
+  // it ({ ttl } seconds, default 30); locking again renews it
+  router.post("/board-items/:id/lock", async (req, res) => {
+    try {
+      const { ttl, error } = parseLockTtl((req.body || {}).ttl);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!(await req.store.getItem(req.params.id))) {
+        return res.status(404).json({ error: "Board item not found" });
+      }
+
+      const lock = await req.board.locks.acquire(
+        req.params.id,
+        getActor(req),
+        ttl
+      );
+      res.json(lock);
+    } catch (error) {
+      sendError(res, error, "Failed to lock board item");
+    }
+  });
+
+  // DELETE /api/board-items/:id/lock - Release a lock (?force=true to
+  // release someone else's)
+  router.delete("/board-items/:id/lock", async (req, res) => {
+    try {
+      const lock = await req.board.locks.release(req.params.id, getActor(req), {
+        force: req.query.force === "true",
+      });
+      if (!lock) {
+        return res.status(404).json({ error: "Board item is not locked" });
+      }
+      res.json({ success: true, lock });
+    } catch (error) {
+      sendError(res, error, "Failed to unlock board item");
+    }
+  });
+
+  // GET /api/locks - Items currently locked, and by whom
+  router.get("/locks", async (req, res) => {
+    try {
+      res.json(await req.board.locks.list());
+    } catch (error) {
+      console.error("Error loading locks:", error);
+      sendError(res, error, "Failed to load locks");
+    }
+  });
+
+  // POST /api/todos - Create a new TODO board item
+  router.post("/todos", async (req, res) => {
+    try {
+      const { title, description, todo_items, x, y } = req.body;
+      const item = await createTodoList(req, {
+        id: generateId("item"),
+        title,
+        description,
+        tasks: todo_items,
+        field: "todo_items",
+        x,
+        y,
+        width: 420,
+        label: "TODO",
+      });
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating todo item:", error);
+      sendError(res, error, "Failed to create todo item");
+    }
+  });
+
+  // POST /api/agents - Create a new agent result item
+  router.post("/agents", async (req, res) => {
+    try {
+      const { title, content } = req.body || {};
+
+      // Calculate dynamic height based on content
+      const calculateHeight = (content) => {
+        const baseHeight = 80; // Header + padding
+        const lineHeight = 20; // Approximate line height
+        const maxWidth = 520; // Container width
+
+        // Estimate lines based on content length and width
+        const estimatedLines = Math.ceil(content.length / (maxWidth / 12)); // 12px char width
+        const contentHeight = Math.max(estimatedLines * lineHeight, 100); // Minimum 100px
+
+        return Math.min(baseHeight + contentHeight, 800); // Cap at 800px
+      };
+
+      const id = generateId("item");
+      const dynamicHeight = calculateHeight(content);
+
+      // Load existing items for positioning BEFORE creating the item
+      const existingItems = await req.store.listItems();
+      const position = resolveTaskZonePosition(
+        req.body,
+        { type: "agent", width: 520, height: dynamicHeight },
+        existingItems,
+        "AGENT"
+      );
+
+      const newItem = {
+        id,
+        type: "agent",
+        x: position.x,
+        y: position.y,
+        width: 520,
+        height: dynamicHeight,
+        content: content,
+        color: "#ffffff",
+        rotation: 0,
+        agentData: {
+          title,
+          markdown: content,
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const item = await req.store.insertItem(newItem);
+
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating agent item:", error);
+      sendError(res, error, "Failed to create agent item");
+    }
+  });
+
+  // POST /api/lab-results - Create a new lab result board item
+  router.post("/lab-results", async (req, res) => {
+    try {
+      const { parameter, value, unit, status, range, trend } = req.body || {};
+
+      // The body schema checks the fields; the range must also be non-empty
+      if (range.min >= range.max) {
+        return res.status(400).json({
+          error: "range must have valid min and max values where min < max",
+        });
+      }
+
+      const id = generateId("item");
+
+      // Load existing items for positioning BEFORE creating the item
+      const existingItems = await req.store.listItems();
+      const position = resolveTaskZonePosition(
+        req.body,
+        { type: "lab-result", width: 400, height: 280 },
+        existingItems,
+        "LAB RESULT"
+      );
+
+      const newItem = {
+        id,
+        type: "lab-result",
+        x: position.x,
+        y: position.y,
+        width: 400,
+        height: 280,
+        content: parameter,
+        color: "#ffffff",
+        rotation: 0,
+        labResultData: {
+          parameter,
+          value,
+          unit,
+          status,
+          range,
+          trend: trend || "stable",
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const item = await req.store.insertItem(newItem);
+
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating lab result:", error);
+      sendError(res, error, "Failed to create lab result");
+    }
+  });
+
+  // GET /api/components/types - Component types with their props schema and
+  // default size
+  router.get("/components/types", (req, res) => {
+    res.json(listComponentTypes());
+  });
+
+  // POST /api/components - Create a new dashboard component; props are
+  // checked against the componentType's schema
+  router.post("/components", async (req, res) => {
+    try {
+      const { componentType, x, y, width, height, props } = req.body;
+
+      // Set default dimensions based on component type
+      const defaultSize = getComponentSize(componentType);
+
+      const id = `dashboard-item-${componentType.toLowerCase()}-${Date.now()}`;
+
+      const newItem = {
+        id,
+        type: "component",
+        componentType,
+        x: x || Math.random() * 8000 + 100,
+        y: y || Math.random() * 7000 + 100,
+        width: width || defaultSize.width,
+        height: height || defaultSize.height,
+        content: {
+          title: componentType,
+          props: props || {},
+        },
+        color: "#ffffff",
+        rotation: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      // Load existing items for collision detection
+      const existingItems = await req.store.listItems();
+
+      // Find non-overlapping position
+      const finalPosition = findNonOverlappingPosition(newItem, existingItems);
+      newItem.x = finalPosition.x;
+      newItem.y = finalPosition.y;
+
+      console.log(
+        `📍 Positioned new ${componentType} component at (${newItem.x}, ${newItem.y})`
+      );
+
+      const item = await req.store.insertItem(newItem);
+
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating component:", error);
+      sendError(res, error, "Failed to create component");
+    }
+  });
+
+  // POST /api/enhanced-todo - Create enhanced todo with agent delegation
+  router.post("/enhanced-todo", async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        todos,
+        x,
+        y,
+        width = 450,
+        height,
+        color,
+      } = req.body;
+      const item = await createTodoList(req, {
+        id: generateId("enhanced-todo", 9),
+        title,
+        description,
+        tasks: todos,
+        field: "todos",
+        x,
+        y,
+        width,
+        height,
+        color,
+        label: "ENHANCED TODO",
+      });
+      res.status(201).json(item);
+    } catch (error) {
+      console.error("Error creating enhanced todo:", error);
+      sendError(res, error, "Failed to create enhanced todo");
+    }
+  });
+
+  // Move one task (or sub-todo) of an enhanced todo to { status, result }
+  // and announce it as a task-updated event. Honors If-Match like PUT
+  // /board-items/:id. Tasks waiting for it (on any todo) are unblocked once
+  // it finishes.
+  const updateTaskRoute = async (req, res) => {
+    try {
+      const { itemId, taskId, subTodoId } = req.params;
+      const updated = await commitTaskUpdate(
+        taskContext(req),
+        { itemId, taskId, subTodoId },
+        req.body,
+        { expectedVersion: parseIfMatch(req.get("If-Match")) }
+      );
+
+      if (!updated) {
+        return res.status(404).json({ error: "Board item not found" });
+      }
+
+      const { item, change, unblocked } = updated;
+      res.set("ETag", formatEtag(item)).json({ ...change, unblocked, item });
+    } catch (error) {
+      console.error("Error updating task:", error);
+      sendError(res, error, "Failed to update task");
+    }
+  };
+
+  // PATCH /api/enhanced-todo/:itemId/tasks/:taskId - Update one task
+  router.patch("/enhanced-todo/:itemId/tasks/:taskId", updateTaskRoute);
+
+  // PATCH /api/enhanced-todo/:itemId/tasks/:taskId/sub-todos/:subTodoId -
+  // Update one sub-todo; its task follows
+  router.patch(
+    "/enhanced-todo/:itemId/tasks/:taskId/sub-todos/:subTodoId",
+    updateTaskRoute
+  );
+
+  // POST /api/focus - Focus on a specific canvas item (enhanced with sub-element support)
+  router.post("/focus", (req, res) => {
+    const { objectId, itemId, subElement, focusOptions } = req.body;
+
+    // Support both objectId (legacy) and itemId (new)
+    const targetId = itemId || objectId;
+
+    if (!targetId) {
+      return res.status(400).json({
+        error: "objectId or itemId is required",
+      });
+    }
+
+    // Default options - higher zoom for sub-elements
+    const defaultOptions = {
+      zoom: subElement ? 1.5 : 0.8,
+      highlight: !!subElement,
+      duration: 2000,
+      scrollIntoView: true,
+    };
+
+    const options = { ...defaultOptions, ...(focusOptions || {}) };
+
+    console.log(
+      `🎯 Focus request: ${targetId}${subElement ? `#${subElement}` : ""}`
+    );
+
+    // Broadcast focus event to all connected SSE clients
+    req.board.events.broadcast({
+      event: "focus",
+      objectId: targetId, // Keep legacy field for compatibility
+      itemId: targetId,
+      subElement: subElement || null,
+      focusOptions: options,
+      actor: getActor(req),
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({
+      success: true,
+      message: `Focus event broadcasted`,
+      itemId: targetId,
+      subElement: subElement || null,
+      focusOptions: options,
+    });
+  });
+
+  // POST /api/reset-cache - Force reload data from storage
+  router.post("/reset-cache", async (req, res) => {
+    try {
+      const items = await req.store.listItems();
+      console.log(`🔄 Cache reset: loaded ${items.length} items from storage`);
+
+      res.json({
+        success: true,
+        message: `Cache reset successfully. Loaded ${items.length} items from storage.`,
+        itemCount: items.length,
+      });
+    } catch (error) {
+      console.error("Error resetting cache:", error);
+      sendError(res, error, "Failed to reset cache");
+    }
+  });
+
+  // DELETE /api/task-zone - Clear all API items from Task Management Zone
+  router.delete("/task-zone", async (req, res) => {
+    try {
+      const removed = await req.store.removeItems(isTaskZoneItem);
+      await refreshTasks(
+        req,
+        removed.map((item) => ({ before: item, after: null }))
+      );
+      const remaining = await req.store.listItems();
+
+      console.log(
+        `🧹 Cleared ${removed.length} API items from Task Management Zone`
+      );
+
+      res.json({
+        success: true,
+        message: `Cleared ${removed.length} API items from Task Management Zone`,
+        removedCount: removed.length,
+        remainingCount: remaining.length,
+      });
+    } catch (error) {
+      console.error("Error clearing task zone:", error);
+      sendError(res, error, "Failed to clear task zone");
+    }
+  });
+
+  // Undo/redo share one handler; the optional body { actor } limits them to
+  // that actor's operations and { force: true } skips the conflict check
+  const historyRoute = (direction) => async (req, res) => {
+    try {
+      const { actor, force } = req.body || {};
+      const result = await req.board.history[direction]({
+        actor: getActor(req),
+        onlyActor: actor,
+        force: force === true,
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: `Nothing to ${direction}` });
+      }
+      await refreshTasks(req, result.operation.changes);
+
+      res.json({
+        success: true,
+        message: `${direction === "undo" ? "Undid" : "Redid"} ${
+          result.target.action
+        } by ${result.target.actor}`,
+        operation: result.operation,
+        target: result.target,
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res
+          .status(409)
+          .json({ error: error.message, conflicts: error.conflicts });
+      }
+      console.error(`Error during ${direction}:`, error);
+      sendError(res, error, `Failed to ${direction}`);
+    }
+  };
+
+  // POST /api/undo - Revert the most recent operation
+  router.post("/undo", historyRoute("undo"));
+
+  // POST /api/redo - Reapply the most recently undone operation
+  router.post("/redo", historyRoute("redo"));
+
+  // GET /api/operations - Operation log, newest first (?limit=&actor=)
+  router.get("/operations", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const operations = await req.board.history.listOperations({
+        limit,
+        actor: req.query.actor,
+      });
+      res.json(operations);
+    } catch (error) {
+      console.error("Error loading operations:", error);
+      sendError(res, error, "Failed to load operations");
+    }
+  });
+
+  // POST /api/snapshots - Capture the whole board under a label
+  router.post("/snapshots", async (req, res) => {
+    try {
+      const { label } = req.body || {};
+
+      const items = await req.store.listItems();
+      const snapshot = {
+        id: generateId("snapshot"),
+        label: label || `Snapshot ${new Date().toISOString()}`,
+        itemCount: items.length,
+        items,
+        createdBy: getActor(req),
+        createdAt: new Date().toISOString(),
+      };
+      await req.board.snapshots.insertItem(snapshot);
+
+      console.log(
+        `📸 Saved snapshot "${snapshot.label}" (${items.length} items)`
+      );
+
+      res.status(201).json(summarizeSnapshot(snapshot));
+    } catch (error) {
+      console.error("Error creating snapshot:", error);
+      sendError(res, error, "Failed to create snapshot");
+    }
+  });
+
+  // GET /api/snapshots - List snapshots (without their items), newest first
+  router.get("/snapshots", async (req, res) => {
+    try {
+      const snapshots = await req.board.snapshots.listItems();
+      res.json(snapshots.map(summarizeSnapshot).reverse());
+    } catch (error) {
+      console.error("Error loading snapshots:", error);
+      sendError(res, error, "Failed to load snapshots");
+    }
+  });
+
+  // POST /api/snapshots/:id/restore - Roll the board back to a snapshot
+  router.post("/snapshots/:id/restore", async (req, res) => {
+    try {
+      const snapshot = await req.board.snapshots.getItem(req.params.id);
+      if (!snapshot) {
+        return res.status(404).json({ error: "Snapshot not found" });
+      }
+
+      // Recorded as one "replace" operation, so the restore can be undone
+      const restored = await req.store.replaceItems(snapshot.items);
+
+      // Clients replace their whole board instead of patching items
+      req.board.events.broadcast(
+        boardRefreshEvent(restored, getActor(req), {
+          reason: "snapshot-restore",
+          snapshotId: snapshot.id,
+        })
+      );
+
+      await refreshTasks(req);
+
+      console.log(
+        `⏪ Restored snapshot "${snapshot.label}" (${snapshot.itemCount} items)`
+      );
+
+      res.json({
+        success: true,
+        message: `Restored snapshot "${snapshot.label}"`,
+        snapshotId: snapshot.id,
+        itemCount: snapshot.items.length,
+      });
+    } catch (error) {
+      console.error("Error restoring snapshot:", error);
+      sendError(res, error, "Failed to restore snapshot");
+    }
+  });
+
+  // GET /api/export - Download the board as a versioned bundle
+  router.get("/export", async (req, res) => {
+    try {
+      const board = await boards.getBoard(req.board.id);
+      const items = await req.store.listItems();
+      const bundle = createExportBundle({
+        board,
+        items,
+        storage: req.board.store.name,
+      });
+
+      const date = bundle.exportedAt.slice(0, 10);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="board-${board.id}-${date}.json"`
+      );
+      res.json(bundle);
+    } catch (error) {
+      console.error("Error exporting board:", error);
+      sendError(res, error, "Failed to export board");
+    }
+  });
+
+  // POST /api/import?mode=merge|replace&onConflict=rename|skip|overwrite
+  // Body is a bundle produced by GET /api/export
+  router.post("/import", async (req, res) => {
+    try {
+      const { mode = "merge", onConflict = "rename" } = req.query;
+
+      if (!IMPORT_MODES.includes(mode)) {
+        return res
+          .status(400)
+          .json({ error: `mode must be one of: ${IMPORT_MODES.join(", ")}` });
+      }
+      if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+        return res.status(400).json({
+          error: `onConflict must be one of: ${CONFLICT_STRATEGIES.join(", ")}`,
+        });
+      }
+
+      const bundle = req.body;
+      const errors = validateBundle(bundle, mode);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid bundle", details: errors });
+      }
+
+      let items = bundle.items;
+      let report = {
+        added: items.length,
+        renamed: [],
+        skipped: [],
+        overwritten: [],
+        renamedTasks: [],
+      };
+      if (mode === "merge") {
+        ({ items, report } = mergeItems(
+          await req.store.listItems(),
+          bundle.items,
+          onConflict
+        ));
+      }
+
+      // Recorded as one "replace" operation, so the import can be undone
+      const imported = await req.store.replaceItems(items);
+
+      req.board.events.broadcast(
+        boardRefreshEvent(imported, getActor(req), { reason: "import" })
+      );
+      await refreshTasks(req);
+
+      console.log(
+        `📥 Imported ${bundle.items.length} items (${mode}) into board ${req.board.id}`
+      );
+
+      res.json({
+        success: true,
+        mode,
+        itemCount: items.length,
+        ...report,
+        warnings: describeBundleDifferences(bundle),
+      });
+    } catch (error) {
+      console.error("Error importing board:", error);
+      sendError(res, error, "Failed to import board");
+    }
+  });
+
+  // GET /api/presence - Who is connected to the board right now
+  router.get("/presence", async (req, res) => {
+    try {
+      const presence = await req.board.presence.list();
+      res.json({
+        count: presence.length,
+        presenter: presence.find((entry) => entry.role === "presenter") || null,
+        presence,
+      });
+    } catch (error) {
+      console.error("Error loading presence:", error);
+      sendError(res, error, "Failed to load presence");
+    }
+  });
+
+  // POST /api/presence - Join the board ({ name, role, clientType })
+  router.post("/presence", async (req, res) => {
+    try {
+      const { fields, error } = parsePresence(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const entry = await req.board.presence.join(fields);
+      res.status(201).json(entry);
+    } catch (error) {
+      console.error("Error joining presence:", error);
+      sendError(res, error, "Failed to join presence");
+    }
+  });
+
+  // PUT /api/presence/:id - Change name, role or client type
+  router.put("/presence/:id", async (req, res) => {
+    try {
+      const { fields, error } = parsePresence(req.body || {}, {
+        partial: true,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const entry = await req.board.presence.update(req.params.id, fields);
+      if (!entry) {
+        return res.status(404).json({ error: "Presence entry not found" });
+      }
+      res.json(entry);
+    } catch (error) {
+      console.error("Error updating presence:", error);
+      sendError(res, error, "Failed to update presence");
+    }
+  });
+
+  // POST /api/presence/:id/heartbeat - Stay on the board; entries expire
+  // after a minute without one
+  router.post("/presence/:id/heartbeat", async (req, res) => {
+    try {
+      const entry = await req.board.presence.touch(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: "Presence entry not found" });
+      }
+      res.json(entry);
+    } catch (error) {
+      console.error("Error refreshing presence:", error);
+      sendError(res, error, "Failed to refresh presence");
+    }
+  });
+
+  // PUT /api/presence/:id/viewport - Presenter shares what they are looking
+  // at ({ x, y, zoom } of the viewport center in canvas coordinates)
+  router.put("/presence/:id/viewport", async (req, res) => {
+    try {
+      const { viewport, error } = parseViewport(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const entry = await req.board.presence.shareViewport(
+        req.params.id,
+        viewport
+      );
+      if (!entry) {
+        return res.status(404).json({ error: "Presence entry not found" });
+      }
+      res.json(entry);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error sharing presenter viewport:", error);
+      sendError(res, error, "Failed to share viewport");
+    }
+  });
+
+  // DELETE /api/presence/:id - Leave the board
+  router.delete("/presence/:id", async (req, res) => {
+    try {
+      const entry = await req.board.presence.leave(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: "Presence entry not found" });
+      }
+      res.json({ success: true, presence: entry });
+    } catch (error) {
+      console.error("Error leaving presence:", error);
+      sendError(res, error, "Failed to leave presence");
+    }
+  });
+
+  // GET /api/agent-registry - Registered agents with their online status
+  router.get("/agent-registry", async (req, res) => {
+    try {
+      res.json(await req.board.agents.list());
+    } catch (error) {
+      console.error("Error loading agent registry:", error);
+      sendError(res, error, "Failed to load agent registry");
+    }
+  });
+
+  // POST /api/agent-registry - Register an agent ({ name, capabilities,
+  // mode, callbackUrl }); registering an existing name updates it
+  router.post("/agent-registry", async (req, res) => {
+    try {
+      const { agent, created } = await req.board.agents.register(req.body);
+      res.status(created ? 201 : 200).json(agent);
+    } catch (error) {
+      console.error("Error registering agent:", error);
+      sendError(res, error, "Failed to register agent");
+    }
+  });
+
+  // GET /api/agent-registry/:id - One agent (by id or name)
+  router.get("/agent-registry/:id", async (req, res) => {
+    try {
+      const agent = await req.board.agents.get(req.params.id);
+      if (!agent) {
+        return res.status(404).json({ error: "Agent not found" });
+      }
+      res.json(agent);
+    } catch (error) {
+      console.error("Error loading agent:", error);
+      sendError(res, error, "Failed to load agent");
+    }
+  });
+
+  // POST /api/agent-registry/:id/heartbeat - Stay online; agents go offline
+  // after 90 seconds without one
+  router.post("/agent-registry/:id/heartbeat", async (req, res) => {
+    try {
+      const agent = await req.board.agents.heartbeat(req.params.id);
+      if (!agent) {
+        return res.status(404).json({ error: "Agent not found" });
+      }
+      res.json(agent);
+    } catch (error) {
+      console.error("Error recording agent heartbeat:", error);
+      sendError(res, error, "Failed to record heartbeat");
+    }
+  });
+
+  // DELETE /api/agent-registry/:id - Unregister an agent; its tasks are
+  // flagged as unknownAgent
+  router.delete("/agent-registry/:id", async (req, res) => {
+    try {
+      const agent = await req.board.agents.unregister(req.params.id);
+      if (!agent) {
+        return res.status(404).json({ error: "Agent not found" });
+      }
+      res.json({ success: true, agent });
+    } catch (error) {
+      console.error("Error unregistering agent:", error);
+      sendError(res, error, "Failed to unregister agent");
+    }
+  });
+
+  // POST /api/work/claim - Claim the next pending task assigned to an agent
+  // ({ agent, capabilities, leaseSeconds }); 204 when there is none
+  router.post("/work/claim", async (req, res) => {
+    try {
+      const claimed = await req.board.work.claim(req.body);
+      if (!claimed) {
+        return res.status(204).end();
+      }
+      const { lease, item, task } = claimed;
+      res.json({
+        leaseId: lease.id,
+        expiresAt: lease.expiresAt,
+        itemId: item.id,
+        taskId: task.id,
+        task,
+        todo: {
+          title: item.todoData.title,
+          description: item.todoData.description,
+        },
+      });
+    } catch (error) {
+      console.error("Error claiming work:", error);
+      sendError(res, error, "Failed to claim work");
+    }
+  });
+
+  // POST /api/work/leases/:leaseId/renew - Keep working on a claimed task
+  router.post("/work/leases/:leaseId/renew", async (req, res) => {
+    try {
+      res.json(
+        await req.board.work.renew(req.params.leaseId, req.body.leaseSeconds)
+      );
+    } catch (error) {
+      console.error("Error renewing lease:", error);
+      sendError(res, error, "Failed to renew lease");
+    }
+  });
+
+  // POST /api/work/leases/:leaseId/complete - Finish a claimed task with
+  // { result }
+  router.post("/work/leases/:leaseId/complete", async (req, res) => {
+    try {
+      const { item, change, unblocked } = await req.board.work.complete(
+        req.params.leaseId,
+        req.body
+      );
+      res.json({ ...change, unblocked, item });
+    } catch (error) {
+      console.error("Error completing work:", error);
+      sendError(res, error, "Failed to complete work");
+    }
+  });
+
+  // POST /api/work/leases/:leaseId/fail - Give a claimed task back to the
+  // queue with { error }
+  router.post("/work/leases/:leaseId/fail", async (req, res) => {
+    try {
+      const { item, change } = await req.board.work.fail(
+        req.params.leaseId,
+        req.body
+      );
+      res.json({ ...change, item });
+    } catch (error) {
+      console.error("Error failing work:", error);
+      sendError(res, error, "Failed to release work");
+    }
+  });
+
+  // Root API endpoint
+  router.get("/", (req, res) => {
+    res.json({
+      name: "Canvas Board API",
+      version: "1.0.0",
+      status: "running",
+      timestamp: new Date().toISOString(),
+      endpoints: listEndpoints(),
+      documentation: "/api/openapi.json",
+    });
+  });
+
+  // Health check endpoint
+  // 503 "DEGRADED" when the storage can't be read
+  router.get("/health", async (req, res) => {
+    const health = {
+      timestamp: new Date().toISOString(),
+      board: req.board.id,
+      storage: req.board.store.name,
+      events: req.board.events.transport(),
+    };
+
+    try {
+      const details = await req.board.store.describe();
+      const degraded =
+        details.dataFile === "unreadable" ||
+        (details.redis === "disconnected" && details.storage !== "fallback");
+      res.status(degraded ? 503 : 200).json({
+        status: degraded ? "DEGRADED" : "OK",
+        ...health,
+        ...details,
+      });
+    } catch (error) {
+      console.error("Error checking storage health:", error);
+      res
+        .status(503)
+        .json({ status: "DEGRADED", ...health, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createBoardRouter };
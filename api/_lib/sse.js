@@ -0,0 +1,286 @@
+// Server-Sent Events hub - pushes board events to connected frontends.
+// With an event bus, broadcasts go through the bus so clients connected to
+// other server instances receive them too.
+//
+// Every board event is sent with its sequence number as the SSE id and kept
+// in a bounded replay buffer. A client reconnecting with Last-Event-ID (or
+// ?lastEventId=) gets the events it missed, or a "resync-required" event if
+// they are no longer buffered and it has to reload the board.
+//
+// A connection can ask for a slice of the traffic with ?events= (event
+// names), ?types= (item types) and ?zone= (canvas zone). Item filters apply to
+// events that carry items; the others only go through the ?events= filter.
+//
+// The hub also hands board events to in-process listeners (the WebSocket
+// collaboration channel) and carries that channel's signals.
+const {
+  parseItemQuery,
+  isQueryEmpty,
+  matchesQuery,
+} = require("./storage/query");
+
+const REPLAY_BUFFER_SIZE = 500;
+
+const formatEvent = (eventType, data, id) =>
+  `${
+    id !== undefined ? `id: ${id}\n` : ""
+  }event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Split a board event into its SSE event name and payload
+const toSse = (message) => {
+  const eventType = message.event || "new-item";
+  const data = { ...message };
+  delete data.event; // Remove event from data payload
+  return formatEvent(eventType, data, message.seq);
+};
+
+// Parse ?events=&types=&zone= into a connection filter (null when nothing is
+// filtered). Returns { filter } or { error }.
+const parseEventFilter = ({ events, types, zone } = {}) => {
+  const { query, error } = parseItemQuery({ type: types, zone });
+  if (error) return { error };
+
+  const eventNames = events
+    ? String(events)
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean)
+    : null;
+  if (!eventNames && isQueryEmpty(query)) return { filter: null };
+
+  return {
+    filter: {
+      events: eventNames,
+      matches: isQueryEmpty(query) ? null : matchesQuery(query),
+    },
+  };
+};
+
+// The message as a filtered connection should see it, or null to skip it.
+// Bulk deletes and board refreshes are narrowed to the matching items.
+const applyFilter = (filter, message) => {
+  if (!filter) return message;
+
+  const eventType = message.event || "new-item";
+  if (filter.events && !filter.events.includes(eventType)) return null;
+  if (!filter.matches) return message;
+
+  if (message.item) {
+    return filter.matches(message.item) ? message : null;
+  }
+  if (Array.isArray(message.items)) {
+    const items = message.items.filter(filter.matches);
+    if (eventType === "bulk-delete") {
+      return items.length > 0
+        ? { ...message, items, itemIds: items.map((item) => item.id) }
+        : null;
+    }
+    return { ...message, items };
+  }
+  return message;
+};
+
+const createEventHub = ({ boardId, bus } = {}) => {
+  // Connected SSE clients, mapped to their filter and disconnect handler
+  const sseClients = new Map();
+  // Most recent events, oldest first
+  const replayBuffer = [];
+  let localSeq = 0;
+  // In-process event and signal listeners
+  const eventListeners = new Set();
+  const signalListeners = new Set();
+
+  const disconnectAll = () => {
+    for (const { disconnect } of [...sseClients.values()]) {
+      disconnect();
+    }
+  };
+
+  const writeAll = (message) => {
+    // Unfiltered connections share one formatted chunk
+    const chunk = toSse(message);
+    for (const [client, { filter }] of sseClients) {
+      const visible = applyFilter(filter, message);
+      if (!visible) continue;
+      try {
+        client.write(visible === message ? chunk : toSse(visible));
+      } catch (_) {}
+    }
+  };
+
+  // Write a message to this process's clients; `event` selects the SSE
+  // event name
+  const deliver = (message) => {
+    if (message.seq !== undefined) {
+      replayBuffer.push(message);
+      if (replayBuffer.length > REPLAY_BUFFER_SIZE) replayBuffer.shift();
+    }
+
+    eventListeners.forEach((listener) => listener(message));
+
+    writeAll(message);
+
+    // The board is gone (possibly deleted through another instance)
+    if (message.event === "board-deleted") {
+      disconnectAll();
+    }
+  };
+
+  // Events after `lastEventId`, or null if they can't all be replayed: the
+  // gap is older than the buffer, or the counter went backwards / nothing is
+  // buffered because the server restarted
+  const eventsSince = (lastEventId) => {
+    if (replayBuffer.length === 0) return null;
+
+    const oldest = replayBuffer[0].seq;
+    const latest = replayBuffer[replayBuffer.length - 1].seq;
+    if (lastEventId > latest || lastEventId < oldest - 1) return null;
+
+    return replayBuffer.filter((event) => event.seq > lastEventId);
+  };
+
+  // Catch a reconnecting client up on what it missed
+  const replay = (res, lastEventId, filter) => {
+    const missed = eventsSince(lastEventId);
+    if (missed) {
+      missed
+        .map((event) => applyFilter(filter, event))
+        .filter(Boolean)
+        .forEach((event) => res.write(toSse(event)));
+      if (missed.length > 0) {
+        console.log(
+          `⏩ Replayed ${missed.length} SSE events after ${lastEventId}`
+        );
+      }
+      return;
+    }
+
+    const latest = replayBuffer.length
+      ? replayBuffer[replayBuffer.length - 1]
+      : null;
+    res.write(
+      formatEvent(
+        "resync-required",
+        {
+          boardId,
+          lastEventId,
+          oldestAvailable: replayBuffer.length ? replayBuffer[0].seq : null,
+          timestamp: new Date().toISOString(),
+        },
+        latest ? latest.seq : undefined
+      )
+    );
+    console.log(`⚠️  SSE client at ${lastEventId} needs a full resync`);
+  };
+
+  const unsubscribe = bus ? bus.subscribe(boardId, deliver) : () => {};
+
+  // Broadcast a message to every client of this board; resolves once it has
+  // been delivered locally
+  const broadcast = async (message) => {
+    if (bus) {
+      return bus.publish(boardId, message);
+    }
+    const event = { ...message, seq: ++localSeq };
+    deliver(event);
+    return event;
+  };
+
+  // Signals with an `event` name (e.g. presenter-viewport) also go to SSE
+  // clients, without an id since they are never replayed
+  const deliverSignal = (signal) => {
+    signalListeners.forEach((listener) => listener(signal));
+    if (signal.event) writeAll(signal);
+  };
+  const unsubscribeSignals = bus
+    ? bus.subscribeSignals(boardId, deliverSignal)
+    : () => {};
+
+  // Send an ephemeral message to every signal listener of this board
+  const signal = async (message) => {
+    if (bus) {
+      return bus.publishSignal(boardId, message);
+    }
+    const sent = { ...message, boardId };
+    deliverSignal(sent);
+    return sent;
+  };
+
+  // Both return an unsubscribe function
+  const listen = (listeners) => (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Express handler for the SSE endpoint
+  const handleEvents = (req, res) => {
+    const { filter, error } = parseEventFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    // Allow CORS for SSE explicitly if proxying is not used
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    // Flush headers immediately
+    if (res.flushHeaders) res.flushHeaders();
+
+    // Initial event to confirm connection
+    res.write("event: connected\n");
+    res.write('data: "ok"\n\n');
+
+    const lastEventId = parseInt(
+      req.get("Last-Event-ID") || req.query.lastEventId,
+      10
+    );
+    if (Number.isInteger(lastEventId)) {
+      replay(res, lastEventId, filter);
+    }
+
+    // Keep connection alive
+    const heartbeat = setInterval(() => {
+      try {
+        res.write(`event: ping\n`);
+        res.write(`data: ${Date.now()}\n\n`);
+      } catch (_) {
+        // Ignore write errors, cleanup will remove the client
+      }
+    }, 25000);
+
+    const disconnect = () => {
+      clearInterval(heartbeat);
+      sseClients.delete(res);
+      try {
+        res.end();
+      } catch (_) {}
+    };
+
+    sseClients.set(res, { filter, disconnect });
+    req.on("close", disconnect);
+  };
+
+  // End every open stream and stop listening (used when a board is deleted)
+  const close = () => {
+    disconnectAll();
+    unsubscribe();
+    unsubscribeSignals();
+    eventListeners.clear();
+    signalListeners.clear();
+  };
+
+  return {
+    broadcast,
+    signal,
+    onEvent: listen(eventListeners),
+    onSignal: listen(signalListeners),
+    handleEvents,
+    close,
+    clientCount: () => sseClients.size,
+    transport: () => (bus ? bus.transport() : "local"),
+  };
+};
+
+module.exports = { createEventHub };
@@ -0,0 +1,187 @@
+// Dashboard component types the canvas can render, with the JSON Schema for
+// each one's `content.props`.
+//
+// Schemas check the shape of what a component reads, but only require what
+// it can't render without: the canvas falls back to empty lists and
+// placeholders for the rest, and components created before these schemas
+// often left those props out. Extra props are allowed. To add a component,
+// register it here (and its default size in layout.js).
+const { getComponentSize } = require("../layout");
+
+const object = (properties = {}, required = []) => ({
+  type: "object",
+  ...(required.length > 0 ? { required } : {}),
+  properties,
+});
+const arrayOf = (items) => ({ type: "array", items });
+const string = { type: "string" };
+const number = { type: "number" };
+// Left empty in some source records; the components show a placeholder
+const optionalString = { type: ["string", "null"] };
+
+// A clinical encounter as found in the patient data
+const encounter = object({
+  encounter_no: number,
+  date: string,
+  type: string,
+  provider: string,
+  diagnosis: string,
+  notes: string,
+  medications: arrayOf(string),
+  meta: object({
+    date_time: string,
+    visit_type: string,
+    ui_risk_color: string,
+    event_tags: arrayOf(string),
+    provider: object({ name: optionalString, specialty: optionalString }),
+  }),
+});
+// Encounter documents read its date, visit type and provider from `meta`
+const documentedEncounter = {
+  ...encounter,
+  required: ["meta"],
+};
+const medication = object({
+  name: string,
+  dose: string,
+  indication: string,
+});
+const patient = object({
+  name: string,
+  sex: string,
+  age: number,
+  age_at_first_encounter: number,
+  dob: string,
+  mrn: string,
+});
+
+const COMPONENT_TYPES = {
+  PatientContext: {
+    description: "Patient header with problems, medications and allergies",
+    props: object({
+      patientData: object({
+        patient,
+        encounters: arrayOf(encounter),
+        problem_list: arrayOf(object({ name: string, status: string })),
+        medication_timeline: arrayOf(medication),
+        allergies: arrayOf({ type: ["string", "object"] }),
+        riskLevel: string,
+        primaryDiagnosis: string,
+      }),
+    }),
+  },
+  EncounterTimeline: {
+    description: "Encounters and medications on a timeline",
+    props: object({
+      encounters: arrayOf(encounter),
+      medicationTimeline: arrayOf(medication),
+    }),
+  },
+  AdverseEventAnalytics: {
+    description: "Adverse events and risk assessment",
+    props: object({
+      patientData: object({
+        adverseEvents: arrayOf({ type: "object" }),
+        riskAssessment: { type: "object" },
+      }),
+    }),
+  },
+  LabTable: {
+    description: "Latest lab values from the encounters",
+    props: object({ encounters: arrayOf(encounter) }),
+  },
+  LabChart: {
+    description: "Lab trends across encounters with medication overlay",
+    props: object({
+      encounters: arrayOf(encounter),
+      medicationTimeline: arrayOf(medication),
+    }),
+  },
+  DifferentialDiagnosis: {
+    description: "Differential diagnosis for the latest encounter",
+    props: object({ patientData: object({ encounters: arrayOf(encounter) }) }),
+  },
+  EHRSystemComponent: {
+    description: "Connected EHR systems",
+    props: object({ patientData: { type: "object" } }),
+  },
+  EncounterDocument: {
+    description: "Every encounter of a patient as one document",
+    // Nothing is shown without patientData; with it, the patient is printed
+    props: object({
+      patientData: object(
+        { patient, encounters: arrayOf(documentedEncounter) },
+        ["patient"]
+      ),
+    }),
+  },
+  SingleEncounterDocument: {
+    description: "One encounter as a clinical document",
+    // Nothing is shown without an encounter; with one, the patient is printed
+    props: {
+      ...object({
+        encounter: documentedEncounter,
+        patient,
+        encounterIndex: { type: "integer", minimum: 0 },
+        dataSource: string,
+      }),
+      if: { required: ["encounter"] },
+      then: { required: ["patient"] },
+    },
+  },
+  RawClinicalNote: {
+    description: "Free-text clinical note as written",
+    props: object({
+      encounterNumber: number,
+      date: string,
+      visitType: string,
+      provider: string,
+      specialty: string,
+      rawText: string,
+      dataSource: string,
+    }),
+  },
+  ICELabData: {
+    description: "Lab panels per encounter from ICE order comms",
+    props: object(
+      {
+        encounters: arrayOf(
+          object(
+            {
+              encounter: number,
+              tests: arrayOf(
+                object({
+                  panel: string,
+                  name: string,
+                  result: { type: ["string", "number"] },
+                  unit: string,
+                  reference_range: string,
+                  flag: string,
+                })
+              ),
+            },
+            ["tests"]
+          )
+        ),
+      },
+      ["encounters"]
+    ),
+  },
+};
+
+const COMPONENT_TYPE_NAMES = Object.keys(COMPONENT_TYPES);
+
+// What GET /api/components/types returns
+const listComponentTypes = () =>
+  COMPONENT_TYPE_NAMES.map((componentType) => ({
+    componentType,
+    description: COMPONENT_TYPES[componentType].description,
+    defaultSize: getComponentSize(componentType),
+    propsSchema: COMPONENT_TYPES[componentType].props,
+  }));
+
+module.exports = {
+  COMPONENT_TYPES,
+  COMPONENT_TYPE_NAMES,
+  listComponentTypes,
+};
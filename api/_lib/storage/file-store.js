@@ -0,0 +1,142 @@
+// File-based storage - the whole board lives in one JSON file.
+// Writes go to a temp file that is fsynced and renamed over the data file,
+// so a crash mid-write leaves the previous board intact.
+const fs = require("fs").promises;
+const path = require("path");
+const { createListStore } = require("./list-store");
+const { loadSeedItems } = require("./source-data");
+
+// Data directory - store outside src/ to avoid triggering React HMR
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "data");
+const DEFAULT_DATA_FILE = path.join(DEFAULT_DATA_DIR, "boardItems.json");
+
+// Raised when the data file exists but cannot be parsed as a board
+class CorruptDataFileError extends Error {
+  constructor(file, cause) {
+    super(
+      `Board data file ${file} is corrupt (${cause.message}). ` +
+        "Restore it from a backup or remove it to reseed the board."
+    );
+    this.name = "CorruptDataFileError";
+    this.code = "BOARD_FILE_CORRUPT";
+    this.file = file;
+  }
+}
+
+const parseBoard = (file, data) => {
+  let items;
+  try {
+    items = JSON.parse(data);
+  } catch (error) {
+    throw new CorruptDataFileError(file, error);
+  }
+  if (!Array.isArray(items)) {
+    throw new CorruptDataFileError(
+      file,
+      new Error("expected an array of board items")
+    );
+  }
+  return items;
+};
+
+const createFileStore = ({
+  file = DEFAULT_DATA_FILE,
+  seed = loadSeedItems,
+} = {}) => {
+  // Ensure data directory exists
+  const ensureDataDirectory = async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+  };
+
+  const read = async () => {
+    let data;
+    try {
+      data = await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return seed();
+    }
+
+    try {
+      return parseBoard(file, data);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      throw error;
+    }
+  };
+
+  // Atomic write: temp file + fsync + rename over the data file
+  const write = async (items) => {
+    await ensureDataDirectory();
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(tempFile, "w");
+    try {
+      await handle.writeFile(JSON.stringify(items, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.unlink(tempFile).catch(() => {});
+      console.error("Error saving board items:", error);
+      throw error;
+    }
+    console.log(`💾 Saved ${items.length} items to file`);
+  };
+
+  return createListStore({
+    name: "file",
+    read,
+    write,
+    describe: async () => {
+      const details = { file: path.relative(process.cwd(), file) };
+      try {
+        await read();
+        return { ...details, dataFile: "ok" };
+      } catch (error) {
+        return { ...details, dataFile: "unreadable", error: error.message };
+      }
+    },
+    destroy: async () => {
+      await fs.unlink(file).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+    },
+  });
+};
+
+// The default board keeps the original data file; other boards get one
+// file each under data/boards/. Per-board collections (e.g. the operation
+// log) sit next to the board file as <name>.json / <boardId>.<name>.json
+const createFileBackend = ({ dataDir = DEFAULT_DATA_DIR } = {}) => ({
+  name: "file",
+  createBoardStore: (boardId, { seed, isDefault }) =>
+    createFileStore({
+      file: isDefault
+        ? path.join(dataDir, "boardItems.json")
+        : path.join(dataDir, "boards", `${boardId}.json`),
+      seed,
+    }),
+  createRegistryStore: () =>
+    createFileStore({
+      file: path.join(dataDir, "boards.json"),
+      seed: async () => [],
+    }),
+  createCollectionStore: (boardId, name, { isDefault }) =>
+    createFileStore({
+      file: isDefault
+        ? path.join(dataDir, `${name}.json`)
+        : path.join(dataDir, "boards", `${boardId}.${name}.json`),
+      seed: async () => [],
+    }),
+});
+
+module.exports = {
+  createFileStore,
+  createFileBackend,
+  CorruptDataFileError,
+  DEFAULT_DATA_FILE,
+};
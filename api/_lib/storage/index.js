@@ -0,0 +1,52 @@
+// Storage backend selection.
+//
+// A backend opens one item store per board (createBoardStore), a registry
+// store holding board metadata (createRegistryStore) and named per-board
+// collections such as the operation log (createCollectionStore). Every store
+// exposes the same async interface, so the routes never care where items live:
+//   name                    - backend identifier reported by /api/health
+//   describe()              - backend-specific health details
+//   listItems()             - all items on the board
+//   getItem(id)             - a single item, or null
+//   insertItem(item)        - append a new item and return it; 409
+//                             (code DUPLICATE_ITEM) if the ID is taken
+//   updateItem(id, updater) - persist updater(currentItem), or null if missing;
+//                             updater may run again if a concurrent write wins
+//   removeItem(id, check)   - delete an item and return it, or null if missing;
+//                             the optional synchronous check(currentItem) runs
+//                             in the same atomic step and may throw to keep it
+//   removeItems(predicate)  - delete every matching item and return them
+//   replaceItems(items)     - overwrite the whole board
+//   queryItems(query)       - items matching { types, zone, updatedSince }
+//                             (see query.js)
+//   destroy()               - drop everything stored for the board
+const { createFileBackend } = require("./file-store");
+const { createMemoryBackend } = require("./memory-store");
+const { createRedisBackend } = require("./redis-store");
+const { createSqliteBackend } = require("./sqlite-store");
+
+const BACKENDS = {
+  file: createFileBackend,
+  memory: createMemoryBackend,
+  redis: createRedisBackend,
+  sqlite: createSqliteBackend,
+};
+
+// STORAGE_BACKEND overrides the default chosen by each server entry point
+const createStorageBackend = ({ defaultBackend = "file", ...options } = {}) => {
+  const backend = (process.env.STORAGE_BACKEND || defaultBackend).toLowerCase();
+  const factory = BACKENDS[backend];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(
+        BACKENDS
+      ).join(", ")})`
+    );
+  }
+
+  console.log(`🗄️  Using ${backend} storage`);
+  return factory(options);
+};
+
+module.exports = { createStorageBackend, BACKENDS };
@@ -0,0 +1,101 @@
+// Builds the storage adapter interface on top of a whole-list read/write pair.
+// Used by backends that keep the board as a single document. Mutations are
+// queued so overlapping requests never read-modify-write the same snapshot.
+const { createMutex } = require("../mutex");
+const { matchesQuery } = require("./query");
+
+// 409 for inserting an ID that is already stored; shared by every backend
+const duplicateItemError = (id) =>
+  Object.assign(new Error(`Item ${id} already exists`), {
+    status: 409,
+    code: "DUPLICATE_ITEM",
+  });
+
+const createListStore = ({ name, read, write, describe, destroy }) => {
+  const serialize = createMutex();
+
+  const listItems = async () => read();
+
+  const queryItems = async (query) =>
+    (await read()).filter(matchesQuery(query));
+
+  const getItem = async (id) => {
+    const items = await read();
+    return items.find((item) => item.id === id) || null;
+  };
+
+  const insertItem = (item) =>
+    serialize(async () => {
+      const items = await read();
+      if (items.some((existing) => existing.id === item.id)) {
+        throw duplicateItemError(item.id);
+      }
+      await write([...items, item]);
+      return item;
+    });
+
+  const updateItem = (id, updater) =>
+    serialize(async () => {
+      const items = await read();
+      const itemIndex = items.findIndex((item) => item.id === id);
+      if (itemIndex === -1) return null;
+
+      const nextItem = await updater(items[itemIndex]);
+      items[itemIndex] = nextItem;
+      await write(items);
+      return nextItem;
+    });
+
+  const removeItem = (id, check) =>
+    serialize(async () => {
+      const items = await read();
+      const removed = items.find((item) => item.id === id);
+      if (!removed) return null;
+      if (check) check(removed);
+
+      await write(items.filter((item) => item.id !== id));
+      return removed;
+    });
+
+  const removeItems = (predicate) =>
+    serialize(async () => {
+      const items = await read();
+      const removed = items.filter(predicate);
+      if (removed.length > 0) {
+        await write(items.filter((item) => !predicate(item)));
+      }
+      return removed;
+    });
+
+  const replaceItems = (items) =>
+    serialize(async () => {
+      await write(items);
+      return items;
+    });
+
+  // Drop the stored board entirely (used when a board is deleted)
+  const destroyStore = () =>
+    serialize(async () => {
+      if (destroy) {
+        await destroy();
+      } else {
+        await write([]);
+      }
+    });
+
+  return {
+    name,
+    describe: describe || (async () => ({})),
+    listItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    removeItems,
+    replaceItems,
+    queryItems,
+    destroy: destroyStore,
+  };
+};
+
+module.exports = { createListStore, duplicateItemError };
@@ -0,0 +1,36 @@
+// In-memory storage - items persist only for the lifetime of the process
+const { createListStore } = require("./list-store");
+const { loadSeedItems } = require("./source-data");
+
+const createMemoryStore = ({ seed = loadSeedItems } = {}) => {
+  let items = null;
+
+  const read = async () => {
+    if (!items) {
+      items = await seed();
+    }
+    return [...items];
+  };
+
+  const write = async (nextItems) => {
+    items = [...nextItems];
+  };
+
+  return createListStore({
+    name: "memory",
+    read,
+    write,
+    describe: async () => ({
+      note: "Items persist only during the server process lifetime",
+    }),
+  });
+};
+
+const createMemoryBackend = () => ({
+  name: "memory",
+  createBoardStore: (boardId, { seed }) => createMemoryStore({ seed }),
+  createRegistryStore: () => createMemoryStore({ seed: async () => [] }),
+  createCollectionStore: () => createMemoryStore({ seed: async () => [] }),
+});
+
+module.exports = { createMemoryStore, createMemoryBackend };
@@ -0,0 +1,302 @@
+// Item schema versions and the migrations between them.
+//
+// Every stored item carries `schemaVersion`; items without one predate
+// versioning and count as version 0. withMigrations() wraps a board store so
+// items are upgraded whenever they are read or written, and upgraded items
+// are written back the first time the board is loaded.
+const { getComponentSize } = require("../layout");
+const {
+  TASK_STATUSES,
+  LEGACY_TODO_STATUSES,
+  INPUT_TASK_STATUSES,
+  toTaskStatus,
+} = require("./task-statuses");
+
+// Statuses of lists stored before statuses were checked: either
+// vocabulary, in any case, and anything else (or nothing) read as the first
+// of `allowed` so old boards still load. New input is checked against
+// task-statuses.js and refused instead.
+const storedStatus = (status, allowed) => {
+  const value = String(status || "").toLowerCase();
+  return allowed.includes(value) ? value : allowed[0];
+};
+
+// Default numeric height for items stored with height: "auto"
+const defaultHeight = (item) => {
+  if (item.type === "component") {
+    return getComponentSize(item.componentType).height;
+  }
+  if (item.type === "todo") return 400;
+  return 200;
+};
+
+// Before v3, enhanced todos (from /api/enhanced-todo) were told apart from
+// legacy lists by tasks with an agent or an enhanced status
+const isEnhancedTodo = (item) =>
+  String(item.id).startsWith("enhanced-todo-") ||
+  (Array.isArray((item.todoData || {}).todos) ? item.todoData.todos : []).some(
+    (todo) =>
+      todo &&
+      typeof todo === "object" &&
+      ("agent" in todo || TASK_STATUSES.includes(todo.status))
+  );
+
+// Legacy /api/todos lists: plain strings or { text, status } with
+// todo/in_progress/done statuses in any case
+const migrateLegacyTodo = (todo) => {
+  if (typeof todo === "string") return { text: todo, status: "todo" };
+  // Anything else that isn't a task is left for validation to refuse
+  if (!todo || typeof todo !== "object") return todo;
+  return {
+    ...todo,
+    text: String(todo.text ?? ""),
+    status: storedStatus(todo.status, LEGACY_TODO_STATUSES),
+  };
+};
+
+const migrateTodoList = (todoData) => ({
+  ...todoData,
+  title: todoData.title || "Todo List",
+  description: todoData.description || "",
+  todos: Array.isArray(todoData.todos)
+    ? todoData.todos.map(migrateLegacyTodo)
+    : todoData.todos || [],
+});
+
+// Enhanced todos: pending/executing/finished statuses, and every task and
+// sub-todo gets a stable ID (derived from its position so repeated loads
+// agree before the upgrade is written back)
+const migrateEnhancedTodo = (itemId, todoData) => ({
+  ...todoData,
+  description: todoData.description || "",
+  todos: todoData.todos.map((todo, index) => {
+    const id = todo.id || `${itemId}-task-${index}`;
+    return {
+      ...todo,
+      id,
+      status: storedStatus(todo.status, TASK_STATUSES),
+      subTodos: (todo.subTodos || []).map((subTodo, subIndex) => ({
+        ...subTodo,
+        id: subTodo.id || `${id}-sub-${subIndex}`,
+        status: storedStatus(subTodo.status, TASK_STATUSES),
+      })),
+    };
+  }),
+});
+
+// Every todo list, legacy or enhanced, in the one task model: tasks and
+// sub-todos with stable IDs (positional, as above) and pending/executing/
+// finished statuses, legacy ones mapped (todo -> pending, in_progress ->
+// executing, done -> finished)
+const migrateTasks = (itemId, todoData) => ({
+  ...todoData,
+  todos: todoData.todos.map((todo, index) => {
+    // Anything that isn't a task is left for validation to refuse
+    if (!todo || typeof todo !== "object") return todo;
+    const id = todo.id || `${itemId}-task-${index}`;
+    return {
+      ...todo,
+      id,
+      status: toTaskStatus(storedStatus(todo.status, INPUT_TASK_STATUSES)),
+      subTodos: (todo.subTodos || []).map((subTodo, subIndex) => ({
+        ...subTodo,
+        id: subTodo.id || `${id}-sub-${subIndex}`,
+        status: toTaskStatus(storedStatus(subTodo.status, INPUT_TASK_STATUSES)),
+      })),
+    };
+  }),
+});
+
+// Lab results used to keep their fields at the top level of the item
+const LAB_RESULT_FIELDS = ["parameter", "value", "unit", "status", "range"];
+
+const migrateLabResult = (item) => {
+  const { labResultData, ...rest } = item;
+  const data = { ...(labResultData || {}) };
+
+  LAB_RESULT_FIELDS.concat("trend").forEach((field) => {
+    if (data[field] === undefined && rest[field] !== undefined) {
+      data[field] = rest[field];
+    }
+    delete rest[field];
+  });
+
+  return {
+    ...rest,
+    labResultData: { ...data, trend: data.trend || "stable" },
+  };
+};
+
+// Ordered list of migrations; each upgrades an item to `version`
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Normalize legacy item shapes",
+    up: (item) => {
+      let next = { ...item, rotation: item.rotation || 0 };
+
+      // Only EHR items carry ehrData; older versions stored ehrData: null on
+      // everything created through POST /api/board-items
+      if (next.type === "ehr") {
+        next.ehrData = next.ehrData || {};
+      } else {
+        delete next.ehrData;
+      }
+
+      if (next.height === "auto") {
+        next.height = defaultHeight(next);
+        next.autoHeight = true;
+      }
+
+      if (next.type === "todo" && next.todoData) {
+        next.todoData = isEnhancedTodo(next)
+          ? migrateEnhancedTodo(next.id, next.todoData)
+          : migrateTodoList(next.todoData);
+      }
+
+      if (next.type === "lab-result") {
+        next = migrateLabResult(next);
+      }
+
+      if (next.type === "agent_result") {
+        const { title, markdown, ...rest } = next;
+        next = {
+          ...rest,
+          type: "agent",
+          agentData: next.agentData || {
+            title: title || "Agent Result",
+            markdown:
+              markdown ||
+              (typeof next.content === "string" ? next.content : ""),
+          },
+        };
+      }
+
+      return next;
+    },
+  },
+  {
+    version: 2,
+    description: "Start item versions (see versions.js)",
+    up: (item) => ({ ...item, version: item.version || 1 }),
+  },
+  {
+    version: 3,
+    description: "One task model for legacy and enhanced todos",
+    up: (item) =>
+      item.type === "todo" &&
+      item.todoData &&
+      Array.isArray(item.todoData.todos)
+        ? { ...item, todoData: migrateTasks(item.id, item.todoData) }
+        : item,
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Upgrade one item to CURRENT_SCHEMA_VERSION. Items written by a newer
+// server are returned untouched.
+const migrateItem = (item) => {
+  if (!item) return item;
+
+  const version = item.schemaVersion || 0;
+  if (version >= CURRENT_SCHEMA_VERSION) return item;
+
+  return MIGRATIONS.filter((migration) => migration.version > version).reduce(
+    (current, migration) => ({
+      ...migration.up(current),
+      schemaVersion: migration.version,
+    }),
+    item
+  );
+};
+
+const migrateItems = (items) => items.map(migrateItem);
+
+const needsMigration = (item) =>
+  (item.schemaVersion || 0) < CURRENT_SCHEMA_VERSION;
+
+// Board store wrapper: reads return upgraded items, writes store them, and the
+// first load writes upgraded items back so the stored data catches up
+const withMigrations = (store) => {
+  let upgrading = null;
+
+  const upgradeStoredItems = async () => {
+    const outdated = (await store.listItems()).filter(needsMigration);
+    for (const item of outdated) {
+      await store.updateItem(item.id, migrateItem);
+    }
+    if (outdated.length > 0) {
+      console.log(
+        `🧬 Upgraded ${outdated.length} items to schema v${CURRENT_SCHEMA_VERSION}`
+      );
+    }
+  };
+
+  const ready = () => {
+    if (!upgrading) {
+      upgrading = upgradeStoredItems().catch((error) => {
+        upgrading = null;
+        throw error;
+      });
+    }
+    return upgrading;
+  };
+
+  return {
+    ...store,
+    listItems: async () => {
+      await ready();
+      return migrateItems(await store.listItems());
+    },
+    getItem: async (id) => {
+      await ready();
+      return migrateItem(await store.getItem(id));
+    },
+    insertItem: async (item) => {
+      await ready();
+      return store.insertItem(migrateItem(item));
+    },
+    updateItem: async (id, updater) => {
+      await ready();
+      return store.updateItem(id, async (current) =>
+        migrateItem(await updater(migrateItem(current)))
+      );
+    },
+    removeItem: async (id, check) => {
+      await ready();
+      return migrateItem(
+        await store.removeItem(
+          id,
+          check && ((current) => check(migrateItem(current)))
+        )
+      );
+    },
+    removeItems: async (predicate) => {
+      await ready();
+      return migrateItems(
+        await store.removeItems((item) => predicate(migrateItem(item)))
+      );
+    },
+    replaceItems: async (items) => {
+      await ready();
+      return store.replaceItems(migrateItems(items));
+    },
+    queryItems: async (query) => {
+      await ready();
+      return migrateItems(await store.queryItems(query));
+    },
+    destroy: async () => {
+      await store.destroy();
+      upgrading = null;
+    },
+  };
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  migrateItem,
+  migrateItems,
+  withMigrations,
+};
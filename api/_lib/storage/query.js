@@ -0,0 +1,65 @@
+// Item queries for GET /api/board-items?type=&zone=&updatedSince=
+// Backends with an index (SQLite) answer them directly; the others filter the
+// full item list with matchesQuery.
+const { TASK_ZONE } = require("../layout");
+const zoneConfig = require("../../../src/data/zone-config.json");
+
+// Named canvas regions that can be queried with ?zone=: "task" plus the
+// zones drawn on the canvas (task-management-zone, data-zone, ...)
+const ZONES = {
+  task: TASK_ZONE,
+  ...Object.fromEntries(
+    zoneConfig.zones.map(({ name, x, y, width, height }) => [
+      name,
+      { x, y, width, height },
+    ])
+  ),
+};
+
+// Validate query-string parameters into { types, zone, updatedSince }.
+// Returns { error } instead when a parameter is unusable.
+const parseItemQuery = ({ type, zone, updatedSince } = {}) => {
+  const query = {};
+
+  if (type) {
+    query.types = String(type)
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  if (zone) {
+    if (!ZONES[zone]) {
+      return {
+        error: `zone must be one of: ${Object.keys(ZONES).join(", ")}`,
+      };
+    }
+    query.zone = ZONES[zone];
+  }
+
+  if (updatedSince) {
+    const since = new Date(updatedSince);
+    if (Number.isNaN(since.getTime())) {
+      return { error: "updatedSince must be an ISO date" };
+    }
+    query.updatedSince = since.toISOString();
+  }
+
+  return { query };
+};
+
+const isQueryEmpty = (query) =>
+  !query.types && !query.zone && !query.updatedSince;
+
+const matchesQuery = (query) => (item) =>
+  (!query.types || query.types.includes(item.type)) &&
+  (!query.zone ||
+    (item.x >= query.zone.x &&
+      item.x < query.zone.x + query.zone.width &&
+      item.y >= query.zone.y &&
+      item.y < query.zone.y + query.zone.height)) &&
+  (!query.updatedSince ||
+    (typeof item.updatedAt === "string" &&
+      item.updatedAt >= query.updatedSince));
+
+module.exports = { ZONES, parseItemQuery, isQueryEmpty, matchesQuery };
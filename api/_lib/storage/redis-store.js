@@ -0,0 +1,285 @@
+// Redis storage - one key per item plus a sorted-set index of item IDs.
+// Every mutation runs as a MULTI/EXEC transaction (guarded by WATCH where it
+// reads first), so concurrent writers never overwrite each other's items.
+// Falls back to in-memory storage when REDIS_URL is not configured.
+const { WatchError } = require("redis");
+const { createMemoryStore } = require("./memory-store");
+const { duplicateItemError } = require("./list-store");
+const { loadSeedItems } = require("./source-data");
+const { matchesQuery } = require("./query");
+const { getRedisClient, isRedisConnected } = require("../redis-client");
+
+// Key layout for one board; the default board keeps the original "board" prefix
+const createKeyspace = (prefix) => ({
+  index: `${prefix}:item-ids`, // sorted set of item IDs, scored by insertion order
+  sequence: `${prefix}:item-seq`, // insertion counter used as the index score
+  seeded: `${prefix}:seeded`, // set once the board has been seeded
+  item: (id) => `${prefix}:item:${id}`,
+});
+
+// Single JSON blob used by earlier versions for the (only) board
+const LEGACY_ITEMS_KEY = "board:items";
+
+const MAX_TRANSACTION_ATTEMPTS = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run fn on an isolated connection with `keys` watched, retrying (with a
+// jittered backoff) when another writer changes a watched key before our EXEC
+const withTransaction = async (redis, keys, fn) => {
+  for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+    try {
+      return await redis.executeIsolated(async (isolated) => {
+        await isolated.watch(keys);
+        try {
+          return await fn(isolated);
+        } finally {
+          await isolated.unwatch();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError)) throw error;
+      console.log(
+        `🔁 Redis write conflict on ${keys.join(", ")}, retrying (${attempt})`
+      );
+      await sleep(Math.random() * 10 * attempt);
+    }
+  }
+  throw new Error(
+    `Redis transaction failed after ${MAX_TRANSACTION_ATTEMPTS} attempts`
+  );
+};
+
+const readItems = async (redis, keyspace, ids) => {
+  if (ids.length === 0) return [];
+  const values = await redis.mGet(ids.map(keyspace.item));
+  return values.filter(Boolean).map((value) => JSON.parse(value));
+};
+
+// Queue SET + ZADD for each item on a MULTI, scoring from `firstScore`
+const queueItems = (multi, keyspace, items, firstScore) => {
+  items.forEach((item, index) => {
+    multi
+      .set(keyspace.item(item.id), JSON.stringify(item))
+      .zAdd(keyspace.index, { score: firstScore + index, value: item.id });
+  });
+  return multi;
+};
+
+// Seed an empty Redis board once - from the legacy blob if an earlier
+// version left one behind, otherwise from the seed function
+const seedItems = (redis, keyspace, seed, legacyKey) =>
+  withTransaction(redis, [keyspace.seeded], async (tx) => {
+    if (await tx.exists(keyspace.seeded)) return;
+
+    const legacyData = legacyKey ? await tx.get(legacyKey) : null;
+    const items = legacyData ? JSON.parse(legacyData) : await seed();
+
+    await queueItems(tx.multi(), keyspace, items, 1)
+      .set(keyspace.sequence, String(items.length))
+      .set(keyspace.seeded, new Date().toISOString())
+      .exec();
+
+    console.log(
+      `💾 Seeded ${items.length} items to Redis from ${
+        legacyData ? legacyKey : "seed data"
+      }`
+    );
+  });
+
+const createRedisStore = ({
+  prefix = "board",
+  seed = loadSeedItems,
+  legacyKey = LEGACY_ITEMS_KEY,
+} = {}) => {
+  const keyspace = createKeyspace(prefix);
+  const fallback = createMemoryStore({ seed });
+  let seeding = null;
+
+  // Connected client (seeded on first use), or null to use the fallback
+  const connect = async () => {
+    const redis = await getRedisClient();
+    if (!redis || !isRedisConnected()) return null;
+
+    if (!seeding) {
+      seeding = seedItems(redis, keyspace, seed, legacyKey).catch((error) => {
+        seeding = null;
+        throw error;
+      });
+    }
+    await seeding;
+    return redis;
+  };
+
+  const listItems = async () => {
+    const redis = await connect();
+    if (!redis) return fallback.listItems();
+
+    const ids = await redis.zRange(keyspace.index, 0, -1);
+    return readItems(redis, keyspace, ids);
+  };
+
+  const queryItems = async (query) =>
+    (await listItems()).filter(matchesQuery(query));
+
+  const getItem = async (id) => {
+    const redis = await connect();
+    if (!redis) return fallback.getItem(id);
+
+    const value = await redis.get(keyspace.item(id));
+    return value ? JSON.parse(value) : null;
+  };
+
+  const insertItem = async (item) => {
+    const redis = await connect();
+    if (!redis) return fallback.insertItem(item);
+
+    const key = keyspace.item(item.id);
+    const score = await redis.incr(keyspace.sequence);
+    await withTransaction(redis, [key], async (tx) => {
+      if (await tx.exists(key)) throw duplicateItemError(item.id);
+      await queueItems(tx.multi(), keyspace, [item], score).exec();
+    });
+    console.log(`💾 Saved item ${item.id} to Redis`);
+    return item;
+  };
+
+  const updateItem = async (id, updater) => {
+    const redis = await connect();
+    if (!redis) return fallback.updateItem(id, updater);
+
+    const key = keyspace.item(id);
+    return withTransaction(redis, [key], async (tx) => {
+      const value = await tx.get(key);
+      if (!value) return null;
+
+      const nextItem = await updater(JSON.parse(value));
+      await tx.multi().set(key, JSON.stringify(nextItem)).exec();
+      return nextItem;
+    });
+  };
+
+  const removeItem = async (id, check) => {
+    const redis = await connect();
+    if (!redis) return fallback.removeItem(id, check);
+
+    const key = keyspace.item(id);
+    return withTransaction(redis, [key], async (tx) => {
+      const value = await tx.get(key);
+      if (!value) return null;
+
+      const removed = JSON.parse(value);
+      if (check) check(removed);
+      await tx.multi().del(key).zRem(keyspace.index, id).exec();
+      return removed;
+    });
+  };
+
+  const removeItems = async (predicate) => {
+    const redis = await connect();
+    if (!redis) return fallback.removeItems(predicate);
+
+    return withTransaction(redis, [keyspace.index], async (tx) => {
+      const ids = await tx.zRange(keyspace.index, 0, -1);
+      if (ids.length > 0) {
+        await tx.watch(ids.map(keyspace.item));
+      }
+
+      const removed = (await readItems(tx, keyspace, ids)).filter(predicate);
+      if (removed.length === 0) return removed;
+
+      const multi = tx.multi();
+      removed.forEach((item) => {
+        multi.del(keyspace.item(item.id)).zRem(keyspace.index, item.id);
+      });
+      await multi.exec();
+      return removed;
+    });
+  };
+
+  const replaceItems = async (items) => {
+    const redis = await connect();
+    if (!redis) return fallback.replaceItems(items);
+
+    return withTransaction(redis, [keyspace.index], async (tx) => {
+      const ids = await tx.zRange(keyspace.index, 0, -1);
+      const lastScore = await tx.incrBy(keyspace.sequence, items.length);
+      const firstScore = lastScore - items.length + 1;
+
+      const multi = tx.multi();
+      if (ids.length > 0) {
+        multi.del(ids.map(keyspace.item));
+      }
+      multi.del(keyspace.index);
+      await queueItems(multi, keyspace, items, firstScore).exec();
+
+      console.log(`💾 Replaced board with ${items.length} items in Redis`);
+      return items;
+    });
+  };
+
+  const destroy = async () => {
+    const redis = await connect();
+    if (!redis) return fallback.destroy();
+
+    await withTransaction(redis, [keyspace.index], async (tx) => {
+      const ids = await tx.zRange(keyspace.index, 0, -1);
+      const multi = tx.multi();
+      if (ids.length > 0) {
+        multi.del(ids.map(keyspace.item));
+      }
+      await multi
+        .del([keyspace.index, keyspace.sequence, keyspace.seeded])
+        .exec();
+    });
+    seeding = null;
+  };
+
+  return {
+    name: "redis",
+    describe: async () => {
+      // Without REDIS_URL the in-memory fallback is the intended setup
+      if (!process.env.REDIS_URL) {
+        return { storage: "fallback", redis: "disconnected" };
+      }
+      await getRedisClient();
+      return { redis: isRedisConnected() ? "connected" : "disconnected" };
+    },
+    listItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    removeItems,
+    replaceItems,
+    queryItems,
+    destroy,
+  };
+};
+
+const createRedisBackend = () => ({
+  name: "redis",
+  createBoardStore: (boardId, { seed, isDefault }) =>
+    isDefault
+      ? createRedisStore({ seed })
+      : createRedisStore({
+          prefix: `boards:${boardId}`,
+          seed,
+          legacyKey: null,
+        }),
+  createRegistryStore: () =>
+    createRedisStore({
+      prefix: "board-registry",
+      seed: async () => [],
+      legacyKey: null,
+    }),
+  // Per-board collections (e.g. the operation log) live under the board prefix
+  createCollectionStore: (boardId, name, { isDefault }) =>
+    createRedisStore({
+      prefix: isDefault ? `board:${name}` : `boards:${boardId}:${name}`,
+      seed: async () => [],
+      legacyKey: null,
+    }),
+});
+
+module.exports = { createRedisStore, createRedisBackend };
@@ -0,0 +1,325 @@
+// JSON Schemas for board items, one per item type, checked with ajv on every
+// write whatever the backend.
+//
+// Items are validated in their stored shape - after migrations, with version
+// and timestamps - so a schema describes exactly what clients read back.
+// Fields a schema doesn't list are allowed and kept as they are.
+const Ajv = require("ajv");
+const { migrateItem } = require("./migrations");
+const { TASK_STATUSES } = require("./task-statuses");
+const { COMPONENT_TYPES, COMPONENT_TYPE_NAMES } = require("./component-types");
+
+const LAB_RESULT_STATUSES = ["optimal", "warning", "critical"];
+const LAB_RESULT_TRENDS = ["up", "down", "stable"];
+
+const ITEM_TYPES = [
+  "todo",
+  "agent",
+  "lab-result",
+  "component",
+  "ehr",
+  "sticky",
+  "text",
+];
+
+const nonEmptyString = { type: "string", minLength: 1 };
+
+// Fields every item has, whatever its type
+const baseItem = (type, { required = [], properties = {} } = {}) => ({
+  type: "object",
+  required: ["id", "type", "x", "y", "width", "height", ...required],
+  properties: {
+    id: nonEmptyString,
+    type: { const: type },
+    x: { type: "number" },
+    y: { type: "number" },
+    width: { type: "number", minimum: 0 },
+    height: { type: "number", minimum: 0 },
+    autoHeight: { type: "boolean" },
+    rotation: { type: "number" },
+    color: { type: "string" },
+    content: { type: "string" },
+    description: { type: "string" },
+    version: { type: "integer", minimum: 1 },
+    schemaVersion: { type: "integer", minimum: 0 },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" },
+    ...properties,
+  },
+});
+
+const todoData = (task) => ({
+  type: "object",
+  required: ["title", "todos"],
+  properties: {
+    title: nonEmptyString,
+    description: { type: "string" },
+    todos: { type: "array", items: task },
+  },
+});
+
+const taskIds = { type: "array", items: nonEmptyString, uniqueItems: true };
+
+const subTodo = {
+  type: "object",
+  required: ["text", "status"],
+  properties: {
+    id: nonEmptyString,
+    text: { type: "string" },
+    status: { enum: TASK_STATUSES },
+    result: { type: "string" },
+  },
+};
+
+// Schemas by item type. Todo lists from /api/todos and /api/enhanced-todo
+// share one task model (see tasks.js); tasks without an agent are plain
+// checklist entries.
+const ITEM_SCHEMAS = {
+  todo: baseItem("todo", {
+    required: ["todoData"],
+    properties: {
+      todoData: todoData({
+        type: "object",
+        required: ["id", "text", "status", "subTodos"],
+        properties: {
+          id: nonEmptyString,
+          text: { type: "string" },
+          status: { enum: TASK_STATUSES },
+          agent: nonEmptyString,
+          // Set while `agent` isn't in the board's agent registry
+          unknownAgent: { type: "boolean" },
+          result: { type: "string" },
+          subTodos: { type: "array", items: subTodo },
+          // IDs of tasks (on any todo of the board) this one waits for
+          dependsOn: taskIds,
+          blocked: { type: "boolean" },
+          blockedBy: taskIds,
+          // Work queue (see work-queue.js)
+          requires: {
+            type: "array",
+            items: nonEmptyString,
+            uniqueItems: true,
+          },
+          lease: {
+            type: "object",
+            required: ["id", "agent", "expiresAt"],
+            properties: {
+              id: nonEmptyString,
+              agent: nonEmptyString,
+              claimedAt: { type: "string" },
+              expiresAt: { type: "string" },
+            },
+          },
+          attempts: { type: "integer", minimum: 0 },
+          lastError: { type: "string" },
+        },
+      }),
+    },
+  }),
+  agent: baseItem("agent", {
+    required: ["agentData"],
+    properties: {
+      agentData: {
+        type: "object",
+        required: ["title", "markdown"],
+        properties: {
+          title: nonEmptyString,
+          markdown: { type: "string" },
+        },
+      },
+    },
+  }),
+  "lab-result": baseItem("lab-result", {
+    required: ["labResultData"],
+    properties: {
+      labResultData: {
+        type: "object",
+        required: ["parameter", "value", "unit", "status", "range"],
+        properties: {
+          parameter: nonEmptyString,
+          value: { type: ["string", "number"] },
+          unit: { type: "string" },
+          status: { enum: LAB_RESULT_STATUSES },
+          range: {
+            type: "object",
+            required: ["min", "max"],
+            properties: {
+              min: { type: "number" },
+              max: { type: "number" },
+              warningMin: { type: "number" },
+              warningMax: { type: "number" },
+              criticalMin: { type: "number" },
+              criticalMax: { type: "number" },
+            },
+          },
+          trend: { enum: LAB_RESULT_TRENDS },
+        },
+      },
+    },
+  }),
+  component: baseItem("component", {
+    required: ["componentType"],
+    properties: {
+      componentType: { enum: COMPONENT_TYPE_NAMES },
+      // props are checked against the componentType's schema (see
+      // component-types.js)
+      content: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          component: { type: "string" },
+          props: { type: "object" },
+        },
+      },
+    },
+  }),
+  ehr: baseItem("ehr", {
+    required: ["ehrData"],
+    properties: { ehrData: { type: "object" } },
+  }),
+  sticky: baseItem("sticky"),
+  text: baseItem("text"),
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// ajv points at the object for a missing property; point at the property
+const toPointer = ({ instancePath, keyword, params }) =>
+  keyword === "required"
+    ? `${instancePath}/${params.missingProperty}`
+    : instancePath;
+
+const describeError = (error) => {
+  if (error.keyword === "enum" || error.keyword === "const") {
+    const allowed = error.params.allowedValues || [error.params.allowedValue];
+    return `must be one of: ${allowed.join(", ")}`;
+  }
+  if (error.keyword === "required") return "is required";
+  return error.message;
+};
+
+// Compile a JSON Schema into a function returning [{ pointer, message,
+// keyword }] for a value (empty when it is valid), with pointers under
+// `prefix`
+const compileSchema = (schema) => {
+  const validate = ajv.compile(schema);
+  return (value, prefix = "") =>
+    validate(value)
+      ? []
+      : validate.errors
+          // "if" only reports that its "then" failed, which is reported too
+          .filter((error) => error.keyword !== "if")
+          .map((error) => ({
+            pointer: `${prefix}${toPointer(error)}`,
+            message: describeError(error),
+            keyword: error.keyword,
+          }));
+};
+
+const validators = Object.fromEntries(
+  Object.entries(ITEM_SCHEMAS).map(([type, schema]) => [
+    type,
+    compileSchema(schema),
+  ])
+);
+
+const propsValidators = Object.fromEntries(
+  COMPONENT_TYPE_NAMES.map((componentType) => [
+    componentType,
+    compileSchema(COMPONENT_TYPES[componentType].props),
+  ])
+);
+
+// Validation errors for one (migrated) item as [{ pointer, message,
+// keyword }], empty when it is valid
+const validateItem = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return [{ pointer: "", message: "must be an object", keyword: "type" }];
+  }
+  if (!ITEM_TYPES.includes(item.type)) {
+    return [
+      {
+        pointer: "/type",
+        message: `must be one of: ${ITEM_TYPES.join(", ")}`,
+        keyword: "enum",
+      },
+    ];
+  }
+
+  const errors = validators[item.type](item);
+
+  // Component props, once the component itself is known to be well-formed
+  if (errors.length === 0 && item.type === "component") {
+    const props = (item.content && item.content.props) || {};
+    return propsValidators[item.componentType](props, "/content/props");
+  }
+  return errors;
+};
+
+// 400 listing every problem, so clients can fix them all in one go
+const invalidItem = (errors, itemId) => {
+  const [first] = errors;
+  return Object.assign(
+    new Error(
+      `Invalid board item${itemId ? ` ${itemId}` : ""}: ${
+        first.pointer || "item"
+      } ${first.message}`
+    ),
+    { status: 400, details: { errors } }
+  );
+};
+
+const assertValid = (item) => {
+  const errors = validateItem(migrateItem(item));
+  if (errors.length > 0) throw invalidItem(errors, item && item.id);
+};
+
+// Board store wrapper that refuses invalid items on insert, update and
+// replace. Updates may not change an item's ID.
+const withValidation = (store) => ({
+  ...store,
+  insertItem: async (item) => {
+    assertValid(item);
+    return store.insertItem(item);
+  },
+  updateItem: (id, updater) =>
+    store.updateItem(id, async (current) => {
+      const next = await updater(current);
+      if (next.id !== current.id) {
+        throw invalidItem(
+          [
+            {
+              pointer: "/id",
+              message: "cannot be changed",
+              keyword: "const",
+            },
+          ],
+          current.id
+        );
+      }
+      assertValid(next);
+      return next;
+    }),
+  // Errors point into the list, e.g. /3/x for the fourth item
+  replaceItems: async (items) => {
+    const errors = items.flatMap((item, index) =>
+      validateItem(migrateItem(item)).map((error) => ({
+        ...error,
+        pointer: `/${index}${error.pointer}`,
+        itemId: item && item.id,
+      }))
+    );
+    if (errors.length > 0) throw invalidItem(errors);
+    return store.replaceItems(items);
+  },
+});
+
+module.exports = {
+  ITEM_SCHEMAS,
+  ITEM_TYPES,
+  LAB_RESULT_STATUSES,
+  LAB_RESULT_TRENDS,
+  compileSchema,
+  validateItem,
+  withValidation,
+};
@@ -0,0 +1,54 @@
+// Static board data bundled with the frontend (src/data/boardItems.json)
+const fs = require("fs").promises;
+const path = require("path");
+
+const SOURCE_DATA_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "..",
+  "src",
+  "data",
+  "boardItems.json"
+);
+
+// Items every backend starts from when it has nothing stored yet
+const loadSeedItems = async () => {
+  try {
+    const sourceData = await fs.readFile(SOURCE_DATA_FILE, "utf8");
+    const items = JSON.parse(sourceData);
+    console.log(`📂 Loaded ${items.length} seed items from source data`);
+    return items;
+  } catch (error) {
+    console.log("Source data not found, starting with an empty board");
+    return [];
+  }
+};
+
+// Keep the bundled source data in sync with measured heights (local dev only)
+const updateSourceDataHeight = async (itemId, newHeight) => {
+  try {
+    const sourceData = await fs.readFile(SOURCE_DATA_FILE, "utf8");
+    const sourceItems = JSON.parse(sourceData);
+
+    const itemIndex = sourceItems.findIndex((item) => item.id === itemId);
+    if (itemIndex !== -1) {
+      sourceItems[itemIndex].height = newHeight;
+      await fs.writeFile(
+        SOURCE_DATA_FILE,
+        JSON.stringify(sourceItems, null, 2)
+      );
+      console.log(
+        `📏 Updated height for item ${itemId} in source data: ${newHeight}px`
+      );
+    }
+  } catch (error) {
+    console.log("Could not update source data height:", error.message);
+  }
+};
+
+module.exports = {
+  SOURCE_DATA_FILE,
+  loadSeedItems,
+  updateSourceDataHeight,
+};
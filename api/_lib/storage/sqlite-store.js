@@ -0,0 +1,377 @@
+// SQLite storage - one local database file with a table each for board items,
+// operations, snapshots, presence, edit locks and the board registry. Items
+// are stored as JSON with their type, position and update time in indexed
+// columns, so queries by type, zone or update time don't load the whole board.
+// Requires the better-sqlite3 package (loaded only when this backend is used).
+const fs = require("fs");
+const path = require("path");
+const { matchesQuery } = require("./query");
+const { duplicateItemError } = require("./list-store");
+
+const DEFAULT_DATABASE_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "data",
+  "board.sqlite"
+);
+
+// Table per store kind; `columns` are extracted from each record so they
+// can be indexed and filtered on without parsing the JSON
+const TABLES = {
+  items: {
+    columns: {
+      type: (item) => item.type || null,
+      x: (item) => (Number.isFinite(item.x) ? item.x : null),
+      y: (item) => (Number.isFinite(item.y) ? item.y : null),
+      updated_at: (item) => item.updatedAt || null,
+    },
+    indexes: [["type"], ["updated_at"], ["x", "y"]],
+  },
+  operations: {
+    columns: {
+      actor: (op) => op.actor || null,
+      action: (op) => op.action || null,
+      timestamp: (op) => op.timestamp || null,
+    },
+    indexes: [["actor"]],
+  },
+  snapshots: {
+    columns: {
+      label: (snapshot) => snapshot.label || null,
+      created_at: (snapshot) => snapshot.createdAt || null,
+    },
+    indexes: [],
+  },
+  boards: {
+    columns: {},
+    indexes: [],
+  },
+  presence: {
+    columns: {},
+    indexes: [],
+  },
+  locks: {
+    columns: {},
+    indexes: [],
+  },
+  agents: {
+    columns: {},
+    indexes: [],
+  },
+};
+
+// All registry records share one pseudo board
+const REGISTRY_BOARD_ID = "";
+
+const MAX_UPDATE_ATTEMPTS = 10;
+
+const openDatabase = (file) => {
+  const Database = require("better-sqlite3");
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  // Wait for other processes sharing the file instead of failing with BUSY
+  db.pragma("busy_timeout = 5000");
+
+  Object.entries(TABLES).forEach(([table, { columns, indexes }]) => {
+    const extraColumns = Object.keys(columns)
+      .map((column) => `, ${column}`)
+      .join("");
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+        board_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL${extraColumns},
+        PRIMARY KEY (board_id, id)
+      )`
+    );
+    db.exec(
+      `CREATE INDEX IF NOT EXISTS ${table}_position ON ${table} (board_id, position)`
+    );
+    indexes.forEach((indexColumns) => {
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS ${table}_${indexColumns.join("_")}
+         ON ${table} (board_id, ${indexColumns.join(", ")})`
+      );
+    });
+  });
+
+  // Boards (and collections) that have been seeded at least once
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS seeded (
+      board_id TEXT NOT NULL,
+      tbl TEXT NOT NULL,
+      seeded_at TEXT NOT NULL,
+      PRIMARY KEY (board_id, tbl)
+    )`
+  );
+
+  console.log(
+    `🗄️  Opened SQLite database ${path.relative(process.cwd(), file)}`
+  );
+  return db;
+};
+
+const createSqliteStore = ({ db, table, boardId, seed }) => {
+  const { columns } = TABLES[table];
+  const columnNames = Object.keys(columns);
+  let seeding = null;
+
+  const statements = {
+    list: db.prepare(
+      `SELECT data FROM ${table} WHERE board_id = ? ORDER BY position`
+    ),
+    get: db.prepare(`SELECT data FROM ${table} WHERE board_id = ? AND id = ?`),
+    nextPosition: db.prepare(
+      `SELECT COALESCE(MAX(position), 0) + 1 AS position FROM ${table} WHERE board_id = ?`
+    ),
+    insert: db.prepare(
+      `INSERT INTO ${table} (board_id, id, position, data${columnNames
+        .map((column) => `, ${column}`)
+        .join("")})
+       VALUES (?, ?, ?, ?${columnNames.map(() => ", ?").join("")})`
+    ),
+    update: db.prepare(
+      `UPDATE ${table} SET data = ?${columnNames
+        .map((column) => `, ${column} = ?`)
+        .join("")}
+       WHERE board_id = ? AND id = ?`
+    ),
+    remove: db.prepare(`DELETE FROM ${table} WHERE board_id = ? AND id = ?`),
+    clear: db.prepare(`DELETE FROM ${table} WHERE board_id = ?`),
+    isSeeded: db.prepare("SELECT 1 FROM seeded WHERE board_id = ? AND tbl = ?"),
+    markSeeded: db.prepare(
+      "INSERT OR IGNORE INTO seeded (board_id, tbl, seeded_at) VALUES (?, ?, ?)"
+    ),
+    unmarkSeeded: db.prepare(
+      "DELETE FROM seeded WHERE board_id = ? AND tbl = ?"
+    ),
+  };
+
+  const columnValues = (record) =>
+    columnNames.map((column) => columns[column](record));
+
+  const insertRows = (records) => {
+    let { position } = statements.nextPosition.get(boardId);
+    records.forEach((record) => {
+      statements.insert.run(
+        boardId,
+        record.id,
+        position++,
+        JSON.stringify(record),
+        ...columnValues(record)
+      );
+    });
+  };
+
+  const replaceRows = db.transaction((records) => {
+    statements.clear.run(boardId);
+    insertRows(records);
+  });
+
+  // Seed the table for this board once, like the Redis seeded flag
+  const ensureSeeded = async () => {
+    if (statements.isSeeded.get(boardId, table)) return;
+    const records = await seed();
+
+    db.transaction(() => {
+      if (statements.isSeeded.get(boardId, table)) return;
+      insertRows(records);
+      statements.markSeeded.run(boardId, table, new Date().toISOString());
+    })();
+
+    if (records.length > 0) {
+      console.log(`💾 Seeded ${records.length} ${table} rows to SQLite`);
+    }
+  };
+
+  const ready = () => {
+    if (!seeding) {
+      seeding = ensureSeeded().catch((error) => {
+        seeding = null;
+        throw error;
+      });
+    }
+    return seeding;
+  };
+
+  const listItems = async () => {
+    await ready();
+    return statements.list.all(boardId).map((row) => JSON.parse(row.data));
+  };
+
+  const getItem = async (id) => {
+    await ready();
+    const row = statements.get.get(boardId, id);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const insertItem = async (item) => {
+    await ready();
+    db.transaction(() => {
+      if (statements.get.get(boardId, item.id)) {
+        throw duplicateItemError(item.id);
+      }
+      insertRows([item]);
+    })();
+    return item;
+  };
+
+  // The updater may be async, so it runs outside the transaction; the write
+  // only goes through if the row is unchanged, otherwise the updater reruns
+  const updateItem = async (id, updater) => {
+    await ready();
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const row = statements.get.get(boardId, id);
+      if (!row) return null;
+
+      const nextItem = await updater(JSON.parse(row.data));
+      const written = db.transaction(() => {
+        const current = statements.get.get(boardId, id);
+        if (!current || current.data !== row.data) return false;
+        statements.update.run(
+          JSON.stringify(nextItem),
+          ...columnValues(nextItem),
+          boardId,
+          id
+        );
+        return true;
+      })();
+      if (written) return nextItem;
+    }
+    throw new Error(
+      `SQLite update of ${id} failed after ${MAX_UPDATE_ATTEMPTS} attempts`
+    );
+  };
+
+  const removeItem = async (id, check) => {
+    await ready();
+    return db.transaction(() => {
+      const row = statements.get.get(boardId, id);
+      if (!row) return null;
+      const removed = JSON.parse(row.data);
+      if (check) check(removed);
+      statements.remove.run(boardId, id);
+      return removed;
+    })();
+  };
+
+  const removeItems = async (predicate) => {
+    await ready();
+    return db.transaction(() => {
+      const removed = statements.list
+        .all(boardId)
+        .map((row) => JSON.parse(row.data))
+        .filter(predicate);
+      removed.forEach((item) => statements.remove.run(boardId, item.id));
+      return removed;
+    })();
+  };
+
+  const replaceItems = async (items) => {
+    await ready();
+    replaceRows(items);
+    console.log(`💾 Replaced ${table} with ${items.length} rows in SQLite`);
+    return items;
+  };
+
+  // Filter in SQL on the indexed columns (items table only)
+  const queryItems = async (query) => {
+    await ready();
+    if (table !== "items") {
+      return (await listItems()).filter(matchesQuery(query));
+    }
+
+    const where = ["board_id = ?"];
+    const params = [boardId];
+    if (query.types) {
+      where.push(`type IN (${query.types.map(() => "?").join(", ")})`);
+      params.push(...query.types);
+    }
+    if (query.zone) {
+      where.push("x >= ? AND x < ? AND y >= ? AND y < ?");
+      params.push(
+        query.zone.x,
+        query.zone.x + query.zone.width,
+        query.zone.y,
+        query.zone.y + query.zone.height
+      );
+    }
+    if (query.updatedSince) {
+      where.push("updated_at >= ?");
+      params.push(query.updatedSince);
+    }
+
+    return db
+      .prepare(
+        `SELECT data FROM items WHERE ${where.join(" AND ")} ORDER BY position`
+      )
+      .all(...params)
+      .map((row) => JSON.parse(row.data));
+  };
+
+  const destroy = async () => {
+    db.transaction(() => {
+      statements.clear.run(boardId);
+      statements.unmarkSeeded.run(boardId, table);
+    })();
+    seeding = null;
+  };
+
+  return {
+    name: "sqlite",
+    describe: async () => ({
+      database: path.relative(process.cwd(), db.name),
+      journalMode: db.pragma("journal_mode", { simple: true }),
+    }),
+    listItems,
+    getItem,
+    insertItem,
+    updateItem,
+    removeItem,
+    removeItems,
+    replaceItems,
+    queryItems,
+    destroy,
+  };
+};
+
+// SQLITE_FILE overrides the default api/data/board.sqlite
+const createSqliteBackend = ({
+  file = process.env.SQLITE_FILE || DEFAULT_DATABASE_FILE,
+} = {}) => {
+  let db = null;
+  const database = () => {
+    if (!db) db = openDatabase(file);
+    return db;
+  };
+
+  return {
+    name: "sqlite",
+    createBoardStore: (boardId, { seed }) =>
+      createSqliteStore({ db: database(), table: "items", boardId, seed }),
+    createRegistryStore: () =>
+      createSqliteStore({
+        db: database(),
+        table: "boards",
+        boardId: REGISTRY_BOARD_ID,
+        seed: async () => [],
+      }),
+    createCollectionStore: (boardId, name) => {
+      if (!TABLES[name] || name === "items" || name === "boards") {
+        throw new Error(`SQLite backend has no ${name} table`);
+      }
+      return createSqliteStore({
+        db: database(),
+        table: name,
+        boardId,
+        seed: async () => [],
+      });
+    },
+  };
+};
+
+module.exports = { createSqliteStore, createSqliteBackend };
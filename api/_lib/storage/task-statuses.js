@@ -0,0 +1,69 @@
+// Task statuses - the one definition used by the item schemas, the request
+// schemas, the migrations and the task model.
+//
+// Tasks and sub-todos are pending, executing or finished. The old /api/todos
+// vocabulary (todo, in_progress, done) is still accepted on input and mapped
+// to them; anything else is refused.
+const TASK_STATUSES = ["pending", "executing", "finished"];
+const LEGACY_TODO_STATUSES = ["todo", "in_progress", "done"];
+
+// Legacy statuses and the task statuses they stand for
+const TASK_STATUS_FROM_LEGACY = {
+  todo: "pending",
+  in_progress: "executing",
+  done: "finished",
+};
+
+// And back, for clients that still read the legacy vocabulary
+const LEGACY_STATUS_FROM_TASK = Object.fromEntries(
+  Object.entries(TASK_STATUS_FROM_LEGACY).map(([legacy, task]) => [
+    task,
+    legacy,
+  ])
+);
+
+// Every status accepted on input
+const INPUT_TASK_STATUSES = [...TASK_STATUSES, ...LEGACY_TODO_STATUSES];
+
+// The task status for an input status from either vocabulary, in any case,
+// or null when it is neither
+const toTaskStatus = (status) => {
+  const value = String(status).toLowerCase();
+  if (TASK_STATUSES.includes(value)) return value;
+  return TASK_STATUS_FROM_LEGACY[value] || null;
+};
+
+const toLegacyStatus = (status) => LEGACY_STATUS_FROM_TASK[status];
+
+// "in_progress" -> "[iI][nN]_[pP]..." for a case-insensitive schema pattern
+const anyCase = (value) =>
+  [...value]
+    .map((char) =>
+      /[a-z]/.test(char) ? `[${char}${char.toUpperCase()}]` : char
+    )
+    .join("");
+
+// JSON Schemas for an input status: exactly one of INPUT_TASK_STATUSES, or
+// (for /api/todos, which always took them in any case) one of them in any case
+const taskStatusSchema = {
+  enum: INPUT_TASK_STATUSES,
+  description:
+    "pending, executing or finished; legacy todo, in_progress and done are mapped to them",
+};
+const anyCaseTaskStatusSchema = {
+  type: "string",
+  pattern: `^(?:${INPUT_TASK_STATUSES.map(anyCase).join("|")})$`,
+  description: `${INPUT_TASK_STATUSES.join(
+    ", "
+  )} in any case; legacy ones are mapped to task statuses`,
+};
+
+module.exports = {
+  TASK_STATUSES,
+  LEGACY_TODO_STATUSES,
+  INPUT_TASK_STATUSES,
+  toTaskStatus,
+  toLegacyStatus,
+  taskStatusSchema,
+  anyCaseTaskStatusSchema,
+};
@@ -0,0 +1,76 @@
+// Item versions for optimistic concurrency.
+//
+// Every item carries `version`, starting at 1 and increased by one on every
+// write, whoever makes it. Clients send the version they last saw in
+// If-Match; a write based on an older copy is refused with 409 and the
+// current item instead of overwriting someone else's change. The one
+// exception is state the server derives from the rest of the board (blocked
+// task flags): updateItem(id, updater, { bumpVersion: false }) saves it
+// without invalidating the copies clients hold.
+
+// 409 with the stored item, so the client can merge and retry
+const versionConflict = (item) =>
+  Object.assign(
+    new Error(
+      `Item ${item.id} has changed (now at version ${item.version}); reload it and retry`
+    ),
+    { status: 409, details: { item } }
+  );
+
+// Expected version from an If-Match header: a number, "*" for any version,
+// or undefined when the header is missing or unusable
+const parseIfMatch = (header) => {
+  if (!header) return undefined;
+  if (header.trim() === "*") return "*";
+  const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(header);
+  return match ? Number(match[1]) : undefined;
+};
+
+const formatEtag = (item) => `"${item.version}"`;
+
+// Throw versionConflict unless `item` is at the expected version
+const assertVersion = (item, expected) => {
+  if (expected !== undefined && expected !== "*" && item.version !== expected) {
+    throw versionConflict(item);
+  }
+};
+
+// Board store wrapper that stamps versions on every write. Versions only go
+// up, so a re-inserted or restored item never reuses a version clients
+// have already seen.
+const withVersions = (store) => {
+  const versionOf = (item) => (item && item.version) || 1;
+
+  return {
+    ...store,
+    insertItem: (item) =>
+      store.insertItem({ ...item, version: (item.version || 0) + 1 }),
+    updateItem: (id, updater, { bumpVersion = true } = {}) =>
+      store.updateItem(id, async (current) => {
+        const next = await updater(current);
+        return {
+          ...next,
+          version: versionOf(current) + (bumpVersion ? 1 : 0),
+        };
+      }),
+    replaceItems: async (items) => {
+      const current = new Map(
+        (await store.listItems()).map((item) => [item.id, versionOf(item)])
+      );
+      return store.replaceItems(
+        items.map((item) => ({
+          ...item,
+          version: Math.max(current.get(item.id) || 0, item.version || 0) + 1,
+        }))
+      );
+    },
+  };
+};
+
+module.exports = {
+  withVersions,
+  versionConflict,
+  parseIfMatch,
+  formatEtag,
+  assertVersion,
+};
@@ -0,0 +1,594 @@
+// The task model shared by every todo list, whether created through
+// /api/todos or /api/enhanced-todo: tasks { id, text, status, subTodos } with
+// an optional agent. Statuses are pending/executing/finished; the legacy
+// todo/in_progress/done vocabulary is accepted on input and mapped (see
+// storage/task-statuses.js); any other status is refused.
+//
+// Tasks and their sub-todos only move forward, pending -> executing ->
+// finished, one step at a time, and may carry a result note (an update
+// without a status only sets the result). A task follows its sub-todos: it is
+// executing once any of them has started and finished once all of them have,
+// and it can't be finished by hand while some are still open. Every change
+// is announced as a "task-updated" event naming the task (and sub-todo), so
+// the canvas can animate just that row.
+//
+// Tasks may also wait for other tasks: `dependsOn` lists task IDs from any
+// todo list on the same board. A task whose prerequisites haven't all
+// finished is `blocked` (with the unfinished ones in `blockedBy`) and can't
+// start. Blocked state is stored on the task and recomputed across the board
+// after every change that touches a todo list's tasks (refreshBoardTasks);
+// tasks unblocked that way are announced as "task-unblocked" events. Those
+// refreshes are housekeeping, kept out of the undo history and the item's
+// version.
+const {
+  TASK_STATUSES,
+  toTaskStatus,
+  toLegacyStatus,
+} = require("./storage/task-statuses");
+const { assertVersion } = require("./storage/versions");
+
+// Statuses each status may move to
+const TASK_TRANSITIONS = {
+  pending: ["executing"],
+  executing: ["finished"],
+  finished: [],
+};
+
+const taskError = (status, message, details) =>
+  Object.assign(new Error(message), {
+    status,
+    ...(details ? { details } : {}),
+  });
+
+const rank = (status) => TASK_STATUSES.indexOf(status);
+
+const assertTransition = (label, from, to) => {
+  if (!TASK_TRANSITIONS[from].includes(to)) {
+    throw taskError(409, `${label} is ${from} and can't move to ${to}`, {
+      allowed: TASK_TRANSITIONS[from],
+    });
+  }
+};
+
+// Blocked tasks (and their sub-todos) can't move until their prerequisites
+// finish
+const assertUnblocked = (task) => {
+  if ((task.blockedBy || []).length > 0) {
+    throw taskError(
+      409,
+      `Task ${task.id} is waiting for ${task.blockedBy.join(", ")}`,
+      { blockedBy: task.blockedBy }
+    );
+  }
+};
+
+// Status an update moves a task or sub-todo to; without one it stays put
+const targetStatus = (update, current) =>
+  update.status === undefined ? current.status : toTaskStatus(update.status);
+
+// Status a task reaches from its sub-todos; never moves it backwards
+const deriveTaskStatus = (task) => {
+  const subTodos = task.subTodos || [];
+  if (subTodos.length === 0) return task.status;
+
+  const derived = subTodos.every((subTodo) => subTodo.status === "finished")
+    ? "finished"
+    : subTodos.some((subTodo) => subTodo.status !== "pending")
+    ? "executing"
+    : "pending";
+  return rank(derived) > rank(task.status) ? derived : task.status;
+};
+
+// How many tasks of a todo list are finished
+const taskProgress = (item) => {
+  const todos = item.todoData.todos;
+  const finished = todos.filter((todo) => todo.status === "finished").length;
+  return { finished, total: todos.length, complete: finished === todos.length };
+};
+
+const TODO_TYPES = ["todo"];
+
+const isTodoItem = (item) => TODO_TYPES.includes(item.type);
+
+// The item as clients of the old /api/todos format read it: task and
+// sub-todo statuses in the legacy vocabulary. For display only; writes take
+// task statuses.
+const withLegacyStatuses = (item) => {
+  if (!isTodoItem(item)) return item;
+  return {
+    ...item,
+    todoData: {
+      ...item.todoData,
+      todos: item.todoData.todos.map((task) => ({
+        ...task,
+        status: toLegacyStatus(task.status),
+        subTodos: task.subTodos.map((subTodo) => ({
+          ...subTodo,
+          status: toLegacyStatus(subTodo.status),
+        })),
+      })),
+    },
+  };
+};
+
+// The task status for an input status; a missing one is pending and an
+// unknown one is refused (the request schemas refuse it first)
+const inputStatus = (status, label) => {
+  if (status === undefined) return "pending";
+  const taskStatus = toTaskStatus(status);
+  if (!taskStatus) {
+    throw taskError(400, `${label} has unknown status ${status}`);
+  }
+  return taskStatus;
+};
+
+// Tasks for a new todo list from request input: strings or task objects,
+// with statuses from either vocabulary. Tasks and sub-todos without an ID
+// get one from `idPrefix` and their position.
+const buildTasks = (inputs, idPrefix) =>
+  inputs.map((input, index) => {
+    const {
+      status,
+      subTodos = [],
+      ...task
+    } = typeof input === "string" ? { text: input } : input;
+    const id = task.id || `${idPrefix}-${index}`;
+    return {
+      ...task,
+      id,
+      status: inputStatus(status, `Task ${id}`),
+      subTodos: subTodos.map((subTodo, subIndex) => {
+        const subTodoId = subTodo.id || `${id}-sub-${subIndex}`;
+        return {
+          ...subTodo,
+          id: subTodoId,
+          status: inputStatus(subTodo.status, `Sub-todo ${subTodoId}`),
+        };
+      }),
+    };
+  });
+
+// Every task of the board's todo lists by ID
+const indexTasks = (items) => {
+  const index = new Map();
+  items
+    .filter(isTodoItem)
+    .forEach((item) =>
+      item.todoData.todos.forEach((task) =>
+        index.set(task.id, { itemId: item.id, task })
+      )
+    );
+  return index;
+};
+
+// Prerequisites that haven't finished; ones no longer on the board don't
+// block
+const unfinishedPrerequisites = (task, index) =>
+  (task.dependsOn || []).filter(
+    (taskId) =>
+      index.has(taskId) && index.get(taskId).task.status !== "finished"
+  );
+
+// The item with blocked/blockedBy recomputed for every task that has
+// prerequisites, against the rest of the board (`items` may include an older
+// copy of the item itself). Other items are returned as they are.
+const refreshBlockedTasks = (item, items) => {
+  if (!isTodoItem(item)) return item;
+  const index = indexTasks([
+    ...items.filter((other) => other.id !== item.id),
+    item,
+  ]);
+  return {
+    ...item,
+    todoData: {
+      ...item.todoData,
+      todos: item.todoData.todos.map((task) => {
+        if (!(task.dependsOn || []).length) return task;
+        const blockedBy = unfinishedPrerequisites(task, index);
+        return { ...task, blocked: blockedBy.length > 0, blockedBy };
+      }),
+    },
+  };
+};
+
+// What blocked state on the board depends on: each task's status and
+// prerequisites, plus its blocked flag as stored (so a stale copy written
+// back gets corrected). null for items that aren't todo lists.
+const taskSignature = (item) =>
+  item && isTodoItem(item)
+    ? JSON.stringify(
+        item.todoData.todos.map((task) => [
+          task.id,
+          task.status,
+          task.dependsOn || [],
+          Boolean(task.blocked),
+        ])
+      )
+    : null;
+
+// Whether any of the changes ([{ before, after }], null for a missing side)
+// may change blocked state somewhere on the board
+const affectsTasks = (changes) =>
+  changes.some(
+    ({ before, after }) => taskSignature(before) !== taskSignature(after)
+  );
+
+// Whether recomputing the item flips a task between blocked and unblocked
+const flipsBlocked = (item, refreshed) =>
+  item.todoData.todos.some(
+    (task, index) =>
+      Boolean(task.blocked) !== Boolean(refreshed.todoData.todos[index].blocked)
+  );
+
+// Tasks blocked in `before` and no longer blocked in `after`, as
+// [{ taskId, unblockedBy }]: unblockedBy is a prerequisite the task was
+// still waiting for, `hint` if it was one of them
+const unblockedTasks = (before, after, hint) => {
+  const waitingFor = new Map(
+    before.todoData.todos
+      .filter((task) => task.blocked)
+      .map((task) => [task.id, task.blockedBy || []])
+  );
+  return after.todoData.todos
+    .filter((task) => waitingFor.has(task.id) && !task.blocked)
+    .map((task) => {
+      const blockedBy = waitingFor.get(task.id);
+      return {
+        taskId: task.id,
+        unblockedBy: blockedBy.includes(hint) ? hint : blockedBy[0],
+      };
+    });
+};
+
+// Follow dependsOn from `taskId`; returns the path back to it, if any
+const findCycle = (taskId, dependsOn) => {
+  const visited = new Set();
+  const visit = (current, path) => {
+    for (const next of dependsOn.get(current) || []) {
+      if (next === taskId) return [...path, next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      const cycle = visit(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  return visit(taskId, [taskId]);
+};
+
+// Problems with the tasks of a new todo list as [{ pointer, message,
+// keyword }]: IDs already used on the board, unknown prerequisites,
+// dependency cycles and tasks that start while blocked. Pointers start with
+// `field`, the body field the tasks came in.
+const dependencyErrors = (todos, items, field = "todos") => {
+  const existing = indexTasks(items);
+  const ids = new Set([...existing.keys(), ...todos.map((todo) => todo.id)]);
+  const dependsOn = new Map(
+    [...existing.values()].map(({ task }) => [task.id, task.dependsOn || []])
+  );
+  todos.forEach((todo) => dependsOn.set(todo.id, todo.dependsOn || []));
+  const errors = [];
+
+  todos.forEach((todo, index) => {
+    const pointer = `/${field}/${index}`;
+    const duplicate =
+      existing.has(todo.id) ||
+      todos.findIndex((other) => other.id === todo.id) !== index;
+    if (duplicate) {
+      errors.push({
+        pointer: `${pointer}/id`,
+        message: "is already used by another task on this board",
+        keyword: "uniqueItems",
+      });
+    }
+
+    (todo.dependsOn || []).forEach((taskId, depIndex) => {
+      if (!ids.has(taskId)) {
+        errors.push({
+          pointer: `${pointer}/dependsOn/${depIndex}`,
+          message: `refers to unknown task ${taskId}`,
+          keyword: "dependsOn",
+        });
+      }
+    });
+
+    const cycle = findCycle(todo.id, dependsOn);
+    if (cycle) {
+      errors.push({
+        pointer: `${pointer}/dependsOn`,
+        message: `creates a cycle: ${cycle.join(" -> ")}`,
+        keyword: "dependsOn",
+      });
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  // Statuses only make sense once the graph is known to be sound
+  const index = indexTasks([...items, { type: "todo", todoData: { todos } }]);
+  todos.forEach((todo, position) => {
+    const waitingFor = unfinishedPrerequisites(todo, index);
+    if (todo.status !== "pending" && waitingFor.length > 0) {
+      errors.push({
+        pointer: `/${field}/${position}/status`,
+        message: `must be pending while waiting for ${waitingFor.join(", ")}`,
+        keyword: "dependsOn",
+      });
+    }
+  });
+  return errors;
+};
+
+// Apply { status, result } to a task, or to one of its sub-todos when
+// subTodoId is given; legacy statuses are mapped and a missing status keeps
+// the current one. A task is only finished with all its sub-todos, unless
+// `finishSubTodos` is set (then the open ones are finished with it). Returns
+// the updated item and a description of the change for taskUpdatedEvent();
+// throws 404/409 errors the routes pass on.
+const applyTaskUpdate = (
+  item,
+  { taskId, subTodoId },
+  update,
+  { finishSubTodos = false } = {}
+) => {
+  const { result } = update;
+  if (!isTodoItem(item)) {
+    throw taskError(404, `Item ${item.id} is not a todo list`);
+  }
+
+  const task = item.todoData.todos.find((todo) => todo.id === taskId);
+  if (!task) {
+    throw taskError(404, `Task ${taskId} not found in ${item.id}`);
+  }
+
+  const note = result !== undefined ? { result } : {};
+  let status;
+  let updatedTask;
+  let previousStatus;
+  let finishedSubTodoIds = [];
+
+  if (subTodoId !== undefined) {
+    const subTodo = (task.subTodos || []).find(
+      (candidate) => candidate.id === subTodoId
+    );
+    if (!subTodo) {
+      throw taskError(404, `Sub-todo ${subTodoId} not found in task ${taskId}`);
+    }
+    status = targetStatus(update, subTodo);
+    if (update.status !== undefined) {
+      assertTransition(`Sub-todo ${subTodoId}`, subTodo.status, status);
+      assertUnblocked(task);
+    }
+
+    previousStatus = subTodo.status;
+    const withSubTodo = {
+      ...task,
+      subTodos: task.subTodos.map((candidate) =>
+        candidate === subTodo ? { ...candidate, status, ...note } : candidate
+      ),
+    };
+    updatedTask = { ...withSubTodo, status: deriveTaskStatus(withSubTodo) };
+  } else {
+    status = targetStatus(update, task);
+    if (update.status !== undefined) {
+      assertTransition(`Task ${taskId}`, task.status, status);
+      assertUnblocked(task);
+    }
+    const open = (task.subTodos || []).filter(
+      (subTodo) => subTodo.status !== "finished"
+    );
+    if (status === "finished" && open.length > 0 && !finishSubTodos) {
+      throw taskError(
+        409,
+        `Task ${taskId} has ${open.length} unfinished sub-todos`,
+        { subTodoIds: open.map((subTodo) => subTodo.id) }
+      );
+    }
+
+    previousStatus = task.status;
+    updatedTask = { ...task, status, ...note };
+    if (status === "finished" && open.length > 0) {
+      finishedSubTodoIds = open.map((subTodo) => subTodo.id);
+      updatedTask.subTodos = task.subTodos.map((subTodo) =>
+        open.includes(subTodo) ? { ...subTodo, status: "finished" } : subTodo
+      );
+    }
+  }
+
+  // Finished tasks hold no work-queue lease (see work-queue.js)
+  if (updatedTask.status === "finished" && updatedTask.lease) {
+    const { lease, ...finished } = updatedTask;
+    updatedTask = finished;
+  }
+
+  const updatedItem = {
+    ...item,
+    todoData: {
+      ...item.todoData,
+      todos: item.todoData.todos.map((todo) =>
+        todo === task ? updatedTask : todo
+      ),
+    },
+  };
+
+  return {
+    item: updatedItem,
+    change: {
+      taskId,
+      ...(subTodoId !== undefined ? { subTodoId } : {}),
+      status,
+      previousStatus,
+      ...note,
+      ...(finishedSubTodoIds.length > 0 ? { finishedSubTodoIds } : {}),
+      taskStatus: updatedTask.status,
+      progress: taskProgress(updatedItem),
+    },
+  };
+};
+
+// Board event for one applied task update; carries the item so SSE type and
+// zone filters apply
+const taskUpdatedEvent = (item, change, actor) => ({
+  event: "task-updated",
+  itemId: item.id,
+  ...change,
+  item,
+  actor,
+  timestamp: new Date().toISOString(),
+});
+
+// Board event for a task whose last prerequisite (`unblockedBy`) finished
+// or left the board
+const taskUnblockedEvent = (item, taskId, unblockedBy, actor) => ({
+  event: "task-unblocked",
+  itemId: item.id,
+  taskId,
+  unblockedBy,
+  item,
+  actor,
+  timestamp: new Date().toISOString(),
+});
+
+const announceUnblocked = (events, actor, item, unblocked) =>
+  unblocked.forEach(({ taskId, unblockedBy }) => {
+    events.broadcast(taskUnblockedEvent(item, taskId, unblockedBy, actor));
+    console.log(`🔓 Task ${taskId} of ${item.id} unblocked`);
+  });
+
+// Rounds of refreshBoardTasks before it gives up on a board that keeps
+// changing underneath it
+const MAX_REFRESH_ROUNDS = 5;
+
+// Recompute blocked state on every todo list of the board from a fresh read
+// of the todo lists, save the lists where a task's blocked flag flips and
+// announce the tasks they unblocked (naming `hint` as unblockedBy where it
+// applies). The lists are read again after saving, and refreshed again if a
+// concurrent change left one stale. The flags are derived state, so saving
+// them doesn't bump the item's version; `store` should be outside the undo
+// history. Returns [{ item, unblocked: [{ taskId, unblockedBy }] }] with the
+// last saved copy of each list.
+const refreshBoardTasks = async ({ store, events, actor }, { hint } = {}) => {
+  const before = new Map();
+  const saved = new Map();
+
+  for (let round = 0; round < MAX_REFRESH_ROUNDS; round += 1) {
+    const items = await store.queryItems({ types: TODO_TYPES });
+    const stale = items.filter((item) =>
+      flipsBlocked(item, refreshBlockedTasks(item, items))
+    );
+    if (stale.length === 0) break;
+
+    for (const item of stale) {
+      try {
+        const updated = await store.updateItem(
+          item.id,
+          (current) => refreshBlockedTasks(current, items),
+          { bumpVersion: false }
+        );
+        if (!updated) continue;
+        if (!before.has(item.id)) before.set(item.id, item);
+        saved.set(item.id, updated);
+      } catch (error) {
+        console.error(`Error refreshing blocked tasks of ${item.id}:`, error);
+      }
+    }
+  }
+
+  return [...saved.values()].map((item) => {
+    const unblocked = unblockedTasks(before.get(item.id), item, hint);
+    announceUnblocked(events, actor, item, unblocked);
+    return { item, unblocked };
+  });
+};
+
+// Apply { status, result } to a stored task (or sub-todo) and announce it:
+// "task-updated", then "task-unblocked" for every task, on any todo, that it
+// released. The update goes through `store`; the rest of the board is
+// refreshed through `housekeeping`, a store outside the undo history.
+// `check(task)` sees the stored task before the update and may refuse it by
+// throwing, `amend(task)` may change the updated task further (the work queue
+// checks, sets and clears leases with them) and `details` are added to the
+// change. `finishSubTodos` is passed on to applyTaskUpdate. Returns
+// { item, change, unblocked }, or null if the item doesn't exist.
+const commitTaskUpdate = async (
+  { store, housekeeping, events, actor },
+  { itemId, taskId, subTodoId },
+  update,
+  { expectedVersion, check, amend, details = {}, finishSubTodos } = {}
+) => {
+  // Only used to check whether the task may move; the refresh below
+  // corrects anything that changed meanwhile
+  const items = await store.queryItems({ types: TODO_TYPES });
+  let before = null;
+  let change = null;
+
+  const item = await store.updateItem(itemId, (current) => {
+    assertVersion(current, expectedVersion);
+    before = refreshBlockedTasks(current, items);
+    const applied = applyTaskUpdate(before, { taskId, subTodoId }, update, {
+      finishSubTodos,
+    });
+    if (check) check(before.todoData.todos.find((task) => task.id === taskId));
+    change = { ...applied.change, ...details };
+    const amended = amend
+      ? {
+          ...applied.item,
+          todoData: {
+            ...applied.item.todoData,
+            todos: applied.item.todoData.todos.map((task) =>
+              task.id === taskId ? amend(task) : task
+            ),
+          },
+        }
+      : applied.item;
+    return {
+      ...refreshBlockedTasks(amended, items),
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  if (!item) return null;
+
+  events.broadcast(taskUpdatedEvent(item, change, actor));
+  console.log(
+    `🔁 ${
+      subTodoId ? `Sub-todo ${subTodoId}` : `Task ${taskId}`
+    } of ${itemId}: ${change.previousStatus} → ${change.status}`
+  );
+
+  const own = unblockedTasks(before, item, taskId);
+  announceUnblocked(events, actor, item, own);
+  const released = [
+    { item, unblocked: own },
+    ...(await refreshBoardTasks(
+      { store: housekeeping, events, actor },
+      { hint: taskId }
+    )),
+  ];
+  // The refresh may have saved this list again
+  const latest = released.filter((entry) => entry.item.id === itemId).pop();
+
+  return {
+    item: latest.item,
+    change,
+    unblocked: released.flatMap(({ item: dependent, unblocked }) =>
+      unblocked.map(({ taskId: unblockedId }) => ({
+        itemId: dependent.id,
+        taskId: unblockedId,
+      }))
+    ),
+  };
+};
+
+module.exports = {
+  TASK_TRANSITIONS,
+  isTodoItem,
+  withLegacyStatuses,
+  buildTasks,
+  dependencyErrors,
+  refreshBlockedTasks,
+  affectsTasks,
+  refreshBoardTasks,
+  taskProgress,
+  applyTaskUpdate,
+  commitTaskUpdate,
+  taskUpdatedEvent,
+};
@@ -0,0 +1,479 @@
+// Pull-based work queue over the tasks of a board's todo lists.
+//
+// An agent claims work with its name and capabilities and gets the next
+// pending task assigned to it (its `agent` field, see agents.js) that isn't
+// blocked and whose `requires` capabilities it has; tasks without an agent
+// are never offered. Claiming moves the task
+// to executing under a lease: { id, agent, claimedAt, expiresAt } on the
+// task. The agent then completes the task (finished, with its result) or
+// fails it (back to pending, with the error), quoting the lease ID, and can
+// renew the lease while it works. Leases that run out put the task back to
+// pending for the next claim: the board's item store reads a task whose
+// lease has passed its expiresAt as pending (withLeaseExpiry), so expiry
+// needs no sweeper and holds after a restart or on serverless; the released
+// task is saved with the item's next write. The instance that granted a
+// lease also announces its expiry, on a best-effort timer.
+//
+// Failing and expiry are the only ways a task moves back to pending. Every
+// change is announced as a "task-updated" event with a `reason` (claimed,
+// completed, failed, lease-expired). Queue changes are not part of the undo
+// history: undoing them would leave tasks and leases out of step. Completing
+// a task also finishes the sub-todos the agent left open.
+//
+// Agents registered in callback mode don't have to poll: when tasks they
+// could claim show up, their callbackUrl gets a POST
+// { event: "work-available", boardId, agent, tasks: [{ itemId, taskId, text }] }
+// naming the tasks they weren't told about yet, signed and only to the
+// hosts agent-callbacks.js allows, and they claim them like any other agent. Each server instance notifies on its own, so an agent may
+// hear about a task more than once; only the claim counts.
+const { agentId } = require("./agents");
+const { postCallback } = require("./agent-callbacks");
+const {
+  isTodoItem,
+  refreshBlockedTasks,
+  taskProgress,
+  commitTaskUpdate,
+  taskUpdatedEvent,
+} = require("./tasks");
+
+const DEFAULT_LEASE_SECONDS = 300;
+const MAX_LEASE_SECONDS = 3600;
+const NOTIFY_DELAY_MS = 100;
+const QUEUE_ACTOR = "work-queue";
+
+const leaseError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const isLeaseActive = (lease, now = Date.now()) =>
+  Boolean(lease) && Date.parse(lease.expiresAt) > now;
+
+const leaseUntil = (seconds) =>
+  new Date(Date.now() + seconds * 1000).toISOString();
+
+// The item as it reads once expired leases are over: their tasks back to
+// pending, without the lease. Other items are returned as they are.
+const expireLeases = (item, now = Date.now()) => {
+  if (!item || !isTodoItem(item)) return item;
+  const expired = (task) => task.lease && !isLeaseActive(task.lease, now);
+  if (!item.todoData.todos.some(expired)) return item;
+  return {
+    ...item,
+    todoData: {
+      ...item.todoData,
+      todos: item.todoData.todos.map((task) => {
+        if (!expired(task)) return task;
+        const { lease, ...released } = task;
+        return { ...released, status: "pending" };
+      }),
+    },
+  };
+};
+
+// Board store wrapper that applies expireLeases to every item it reads, and
+// to the current item handed to updaters
+const withLeaseExpiry = (store) => ({
+  ...store,
+  listItems: async () =>
+    (await store.listItems()).map((item) => expireLeases(item)),
+  queryItems: async (query) =>
+    (await store.queryItems(query)).map((item) => expireLeases(item)),
+  getItem: async (id) => expireLeases(await store.getItem(id)),
+  updateItem: (id, updater, options) =>
+    store.updateItem(id, (current) => updater(expireLeases(current)), options),
+  removeItem: async (id, check) =>
+    expireLeases(await store.removeItem(id, check)),
+});
+
+// Throws 404 unless one of `tasks` holds the active lease `leaseId`
+const assertLease = (tasks, leaseId) => {
+  const held = tasks.some(
+    (task) => isLeaseActive(task.lease) && task.lease.id === leaseId
+  );
+  if (!held) throw leaseError(404, `Lease ${leaseId} not found or expired`);
+};
+
+// Whether `agent` (with `capabilities`) may take `task`
+const canClaim = (task, agent, capabilities) =>
+  task.status === "pending" &&
+  !task.blocked &&
+  Boolean(task.agent) &&
+  agentId(task.agent) === agentId(agent) &&
+  (task.requires || []).every((capability) =>
+    capabilities.includes(capability)
+  );
+
+// Tasks `agent` may take now, as [{ item, task }]
+const claimableTasks = (items, agent, capabilities) =>
+  items.filter(isTodoItem).flatMap((item) =>
+    refreshBlockedTasks(item, items)
+      .todoData.todos.filter((task) => canClaim(task, agent, capabilities))
+      .map((task) => ({ item, task }))
+  );
+
+// Whether a board event may have given an agent something to claim
+const mayAddWork = (message) => {
+  switch (message.event) {
+    case "new-item":
+    case "update-item":
+      return isTodoItem(message.item);
+    case "task-updated":
+      return message.taskStatus === "pending";
+    case "agent-status":
+      return message.agent.status === "online";
+    case "task-unblocked":
+    case "board-refresh":
+    case "agent-registered":
+      return true;
+    default:
+      return false;
+  }
+};
+
+// POST `body` to a callback agent (see agent-callbacks.js). Returns whether
+// it was accepted; failures are only logged.
+const callAgent = async (agent, body) => {
+  try {
+    const status = await postCallback(agent.callbackUrl, body);
+    const ok = status >= 200 && status < 300;
+    if (!ok) {
+      console.error(`Callback to agent ${agent.name} answered ${status}`);
+    }
+    return ok;
+  } catch (error) {
+    console.error(`Error calling back agent ${agent.name}:`, error.message);
+    return false;
+  }
+};
+
+// `history` announces changes under the agent (or QUEUE_ACTOR for expiries);
+// `agents` is the board's agent registry
+const createWorkQueue = ({ boardId, history, events, agents }) => {
+  let notifyTimer = null;
+  // Timers announcing the expiry of the leases granted here, by lease ID
+  const expiryTimers = new Map();
+  // IDs of the tasks each callback agent has been told about
+  const notified = new Map();
+
+  // Tasks holding a lease, as [{ item, task }]
+  const leasedTasks = (items) =>
+    items
+      .filter(isTodoItem)
+      .flatMap((item) =>
+        item.todoData.todos
+          .filter((task) => task.lease)
+          .map((task) => ({ item, task }))
+      );
+
+  // Queue writes are announced under `actor` but never undone
+  const queueStore = (actor) => history.recorder(actor, { undoable: false });
+
+  // Put a leased task back to pending, announced with `reason`
+  const release = async (itemId, leaseId, reason, actor, error) => {
+    let change = null;
+    const store = queueStore(actor);
+
+    const item = await store.updateItem(itemId, (current) => {
+      const task = current.todoData.todos.find(
+        (todo) => todo.lease && todo.lease.id === leaseId
+      );
+      if (!task) throw leaseError(404, `Lease ${leaseId} not found`);
+
+      const { lease, ...released } = task;
+      const updated = {
+        ...current,
+        todoData: {
+          ...current.todoData,
+          todos: current.todoData.todos.map((todo) =>
+            todo === task
+              ? {
+                  ...released,
+                  status: "pending",
+                  ...(error !== undefined ? { lastError: error } : {}),
+                }
+              : todo
+          ),
+        },
+        updatedAt: new Date().toISOString(),
+      };
+      change = {
+        taskId: task.id,
+        status: "pending",
+        previousStatus: task.status,
+        taskStatus: "pending",
+        progress: taskProgress(updated),
+        reason,
+        leaseId,
+        ...(error !== undefined ? { error } : {}),
+      };
+      return updated;
+    });
+
+    if (item) {
+      events.broadcast(taskUpdatedEvent(item, change, actor));
+      console.log(
+        `↩️  Task ${change.taskId} of ${itemId} is pending (${reason})`
+      );
+    }
+    return item && { item, change };
+  };
+
+  // Announce that a lease ran out, unless the task was completed, failed or
+  // claimed again meanwhile. Reads already treat it as expired.
+  const announceExpiry = async (itemId, taskId, leaseId) => {
+    const item = await queueStore(QUEUE_ACTOR).getItem(itemId);
+    const task = item && item.todoData.todos.find((todo) => todo.id === taskId);
+    if (!task || task.status !== "pending" || task.lease) return;
+
+    events.broadcast(
+      taskUpdatedEvent(
+        item,
+        {
+          taskId,
+          status: "pending",
+          previousStatus: "executing",
+          taskStatus: "pending",
+          progress: taskProgress(item),
+          reason: "lease-expired",
+          leaseId,
+        },
+        QUEUE_ACTOR
+      )
+    );
+    console.log(`↩️  Task ${taskId} of ${itemId} is pending (lease-expired)`);
+  };
+
+  const forgetLease = (leaseId) => {
+    clearTimeout(expiryTimers.get(leaseId));
+    expiryTimers.delete(leaseId);
+  };
+
+  // (Re)arm the expiry announcement for a lease granted or renewed here
+  const watchLease = (itemId, taskId, lease) => {
+    forgetLease(lease.id);
+    const timer = setTimeout(() => {
+      expiryTimers.delete(lease.id);
+      announceExpiry(itemId, taskId, lease.id).catch((error) =>
+        console.error(`Error announcing expiry of lease ${lease.id}:`, error)
+      );
+    }, Math.max(0, Date.parse(lease.expiresAt) - Date.now()));
+    timer.unref();
+    expiryTimers.set(lease.id, timer);
+  };
+
+  // The task holding an active lease, as { item, task }
+  const findLease = async (leaseId) => {
+    const found = leasedTasks(await queueStore(QUEUE_ACTOR).listItems()).find(
+      ({ task }) => task.lease.id === leaseId
+    );
+    if (!found) {
+      throw leaseError(404, `Lease ${leaseId} not found or expired`);
+    }
+    return found;
+  };
+
+  // Claim the next task for `agent`. Capabilities default to the agent's
+  // registration. Returns { lease, item, task }, or null when there is
+  // nothing to do.
+  const claim = async ({
+    agent,
+    capabilities,
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+  }) => {
+    const registration = await agents.get(agent);
+    // Claiming counts as a heartbeat
+    if (registration) await agents.heartbeat(registration.id);
+    const offered =
+      capabilities || (registration && registration.capabilities) || [];
+
+    const store = queueStore(agent);
+    const candidates = claimableTasks(await store.listItems(), agent, offered);
+
+    for (const { item, task } of candidates) {
+      const lease = {
+        id: `lease-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+        agent,
+        claimedAt: new Date().toISOString(),
+        expiresAt: leaseUntil(leaseSeconds),
+      };
+
+      try {
+        const claimed = await commitTaskUpdate(
+          { store, housekeeping: store, events, actor: agent },
+          { itemId: item.id, taskId: task.id },
+          { status: "executing" },
+          {
+            // Only pending tasks move to executing; this catches a live
+            // lease left on one
+            check: (current) => {
+              if (isLeaseActive(current.lease)) {
+                throw leaseError(409, `Task ${task.id} is already claimed`);
+              }
+            },
+            amend: (current) => ({
+              ...current,
+              lease,
+              attempts: (current.attempts || 0) + 1,
+            }),
+            details: { reason: "claimed", leaseId: lease.id },
+          }
+        );
+        if (!claimed) continue;
+
+        watchLease(item.id, task.id, lease);
+        console.log(
+          `📥 ${agent} claimed task ${task.id} until ${lease.expiresAt}`
+        );
+        return {
+          lease,
+          item: claimed.item,
+          task: claimed.item.todoData.todos.find((todo) => todo.id === task.id),
+        };
+      } catch (error) {
+        // Claimed, started or blocked meanwhile - try the next one
+        if (error.status !== 409) throw error;
+      }
+    }
+    return null;
+  };
+
+  // Extend a lease by `leaseSeconds` from now
+  const renew = async (leaseId, leaseSeconds = DEFAULT_LEASE_SECONDS) => {
+    const { item, task } = await findLease(leaseId);
+    const expiresAt = leaseUntil(leaseSeconds);
+
+    await queueStore(task.lease.agent).updateItem(item.id, (current) => {
+      assertLease(current.todoData.todos, leaseId);
+      return {
+        ...current,
+        todoData: {
+          ...current.todoData,
+          todos: current.todoData.todos.map((todo) =>
+            todo.lease && todo.lease.id === leaseId
+              ? { ...todo, lease: { ...todo.lease, expiresAt } }
+              : todo
+          ),
+        },
+      };
+    });
+    const lease = { ...task.lease, expiresAt };
+    watchLease(item.id, task.id, lease);
+    return { ...lease, itemId: item.id, taskId: task.id };
+  };
+
+  // Finish a leased task with the agent's result
+  const complete = async (leaseId, { result } = {}) => {
+    const { item, task } = await findLease(leaseId);
+    const store = queueStore(task.lease.agent);
+    const completed = await commitTaskUpdate(
+      { store, housekeeping: store, events, actor: task.lease.agent },
+      { itemId: item.id, taskId: task.id },
+      { status: "finished", result },
+      {
+        // The lease may have run out and been claimed again meanwhile
+        check: (current) => assertLease([current], leaseId),
+        finishSubTodos: true,
+        details: { reason: "completed", leaseId },
+      }
+    );
+    forgetLease(leaseId);
+    return completed;
+  };
+
+  // Give a leased task back, to be claimed again
+  const fail = async (leaseId, { error } = {}) => {
+    const { item, task } = await findLease(leaseId);
+    const released = await release(
+      item.id,
+      leaseId,
+      "failed",
+      task.lease.agent,
+      error
+    );
+    forgetLease(leaseId);
+    return released;
+  };
+
+  // Tell online callback agents about claimable tasks they haven't heard of
+  const notifyAgents = async () => {
+    const callbackAgents = (await agents.list()).filter(
+      (agent) => agent.mode === "callback" && agent.status === "online"
+    );
+    if (callbackAgents.length === 0) return;
+    const items = await queueStore(QUEUE_ACTOR).listItems();
+
+    for (const agent of callbackAgents) {
+      const tasks = claimableTasks(items, agent.name, agent.capabilities);
+      const known = notified.get(agent.id) || new Set();
+      const fresh = tasks.filter(({ task }) => !known.has(task.id));
+      const current = new Set(tasks.map(({ task }) => task.id));
+      if (fresh.length === 0) {
+        notified.set(agent.id, current);
+        continue;
+      }
+
+      const accepted = await callAgent(agent, {
+        event: "work-available",
+        boardId,
+        agent: agent.name,
+        tasks: fresh.map(({ item, task }) => ({
+          itemId: item.id,
+          taskId: task.id,
+          text: task.text,
+        })),
+        timestamp: new Date().toISOString(),
+      });
+      // Undelivered tasks are offered again after the next change
+      notified.set(
+        agent.id,
+        accepted
+          ? current
+          : new Set([...known].filter((taskId) => current.has(taskId)))
+      );
+      if (accepted) {
+        console.log(`📣 Told ${agent.name} about ${fresh.length} task(s)`);
+      }
+    }
+  };
+
+  // Bursts of events (a task update and the tasks it unblocked) lead to one
+  // round of notifications
+  const scheduleNotify = () => {
+    if (notifyTimer) return;
+    notifyTimer = setTimeout(() => {
+      notifyTimer = null;
+      notifyAgents().catch((error) =>
+        console.error("Error notifying callback agents:", error)
+      );
+    }, NOTIFY_DELAY_MS);
+    notifyTimer.unref();
+  };
+
+  const stopListening = events.onEvent((message) => {
+    // A (re-)registered agent hears about everything waiting for it
+    if (["agent-registered", "agent-unregistered"].includes(message.event)) {
+      notified.delete(message.agentId);
+    }
+    // A task given back is offered again
+    if (message.event === "task-updated" && message.taskStatus === "pending") {
+      notified.forEach((taskIds) => taskIds.delete(message.taskId));
+    }
+    if (mayAddWork(message)) scheduleNotify();
+  });
+
+  const close = () => {
+    expiryTimers.forEach((timer) => clearTimeout(timer));
+    expiryTimers.clear();
+    if (notifyTimer) clearTimeout(notifyTimer);
+    notifyTimer = null;
+    stopListening();
+  };
+
+  return { claim, renew, complete, fail, close };
+};
+
+module.exports = {
+  createWorkQueue,
+  withLeaseExpiry,
+  DEFAULT_LEASE_SECONDS,
+  MAX_LEASE_SECONDS,
+};
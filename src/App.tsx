@@ -5,6 +5,7 @@ import Canvas from './components/Canvas';
 import MeetSidePanel from './components/MeetSidePanel';
 import MeetMainStage from './components/MeetMainStage';
 import boardItemsData from './data/boardItems.json';
+import { usePresence, PresenceRole } from './usePresence';
 
 const AppContainer = styled.div`
   width: 100vw;
@@ -27,15 +28,45 @@ function App() {
   );
 }
 
+// Seconds a drag holds its item's lock if the tab never releases it
+const DRAG_LOCK_TTL = 60;
+
+// Every event the server sends with an id (SSE_EVENTS in api/_lib/openapi.js,
+// less connected and ping), handled here or not
+const BOARD_EVENTS = [
+  'new-item', 'update-item', 'delete-item', 'bulk-delete', 'board-refresh', 'board-deleted',
+  'focus', 'presenter-viewport', 'presence-join', 'presence-update', 'presence-leave',
+  'agent-registered', 'agent-status', 'agent-unregistered', 'task-updated', 'task-unblocked',
+  'item-locked', 'item-unlocked', 'resync-required',
+];
+
 // Main board application component
 function BoardApp() {
   const [items, setItems] = useState([]);
   const [selectedItemId, setSelectedItemId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // Edit locks by item id, so items being edited elsewhere can say by whom
+  const [locks, setLocks] = useState<Record<string, any>>({});
 
   // Get API base URL - use env var if set, fallback to production backend
   const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://patientcanvas-ai.vercel.app';
 
+  // ?name=...&role=presenter shares this view; ?follow=presenter tracks it
+  const [presence] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    const role = params.get('role');
+    return {
+      name: params.get('name') || 'Browser',
+      role: (role === 'presenter' || role === 'viewer' ? role : 'participant') as PresenceRole,
+      followPresenter: params.get('follow') === 'presenter',
+    };
+  });
+  usePresence({ apiBaseUrl: API_BASE_URL, name: presence.name, role: presence.role, clientType: 'browser' });
+
+  // Who this tab is to the board (X-Actor on its writes), so its own edit
+  // locks can be told apart from everyone else's
+  const [actor] = useState(() => `${presence.name}-${Math.random().toString(36).substr(2, 6)}`);
+
   // Debug: Log the API base URL on mount
   useEffect(() => {
     console.log('🌐 API_BASE_URL:', API_BASE_URL);
@@ -85,6 +116,16 @@ function BoardApp() {
     loadItemsFromBothSources();
   }, [API_BASE_URL]);
 
+  // Load current edit locks; the SSE stream keeps them up to date
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/locks`)
+      .then((response) => (response.ok ? response.json() : []))
+      .then((current: any[]) => {
+        setLocks(Object.fromEntries(current.map((lock) => [lock.itemId, lock])));
+      })
+      .catch((err) => console.error('❌ Error loading locks:', err));
+  }, [API_BASE_URL]);
+
   // Note: Items are now managed by the backend API, no localStorage needed
 
   const addItem = useCallback((type) => {
@@ -143,11 +184,28 @@ function BoardApp() {
     if (updates.height !== undefined) {
       fetch(`${API_BASE_URL}/api/board-items/${id}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-Actor': actor },
         body: JSON.stringify({ height: updates.height })
       }).catch(() => {});
     }
-  }, [API_BASE_URL]);
+  }, [API_BASE_URL, actor]);
+
+  // Hold an item's edit lock while it is dragged, so others see who is
+  // moving it and can't change it meanwhile
+  const lockItem = useCallback((id) => {
+    fetch(`${API_BASE_URL}/api/board-items/${id}/lock`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Actor': actor },
+      body: JSON.stringify({ ttl: DRAG_LOCK_TTL })
+    }).catch(() => {});
+  }, [API_BASE_URL, actor]);
+
+  const unlockItem = useCallback((id) => {
+    fetch(`${API_BASE_URL}/api/board-items/${id}/lock`, {
+      method: 'DELETE',
+      headers: { 'X-Actor': actor }
+    }).catch(() => {});
+  }, [API_BASE_URL, actor]);
 
   const deleteItem = useCallback((id) => {
     setItems(prev => prev.filter(item => item.id !== id));
@@ -272,14 +330,30 @@ function BoardApp() {
   useEffect(() => {
     let es: EventSource | null = null;
     let reconnectTimeout: NodeJS.Timeout | null = null;
+    // Id of the last board event seen, so a reconnect replays what we missed
+    let lastEventId = '';
     
     const connect = () => {
       try {
         // Connect directly to the backend SSE endpoint
-        const sseUrl = `${API_BASE_URL}/api/events`;
+        const sseUrl = `${API_BASE_URL}/api/events${
+          lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : ''
+        }`;
         console.log('🔌 Connecting to SSE:', sseUrl);
         es = new EventSource(sseUrl);
 
+        BOARD_EVENTS.forEach((name) => {
+          es?.addEventListener(name, (event: any) => {
+            if (event.lastEventId) lastEventId = event.lastEventId;
+          });
+        });
+
+        // Missed events are no longer available on the server - reload the board
+        es.addEventListener('resync-required', () => {
+          console.log('⚠️ SSE resync required, reloading board items');
+          resetBoard();
+        });
+
         es.addEventListener('connected', () => {
           console.log('✅ Connected to SSE:', sseUrl);
         });
@@ -325,8 +399,101 @@ function BoardApp() {
           }
         });
 
+        // Items changed or removed through the API (or by another viewer)
+        es.addEventListener('update-item', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🔄 Update-item event received via SSE:', data.itemId);
+            if (!data.itemId || !data.item) return;
+            setItems((prev: any[]) =>
+              prev.map((it) => (it.id === data.itemId ? data.item : it))
+            );
+          } catch (err) {
+            console.error('❌ Error handling update-item event:', err);
+          }
+        });
+
+        es.addEventListener('delete-item', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🗑️ Delete-item event received via SSE:', data.itemId);
+            if (!data.itemId) return;
+            setItems((prev: any[]) => prev.filter((it) => it.id !== data.itemId));
+          } catch (err) {
+            console.error('❌ Error handling delete-item event:', err);
+          }
+        });
+
+        es.addEventListener('bulk-delete', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🧹 Bulk-delete event received via SSE:', data.itemIds);
+            if (!Array.isArray(data.itemIds)) return;
+            const removed = new Set(data.itemIds);
+            setItems((prev: any[]) => prev.filter((it) => !removed.has(it.id)));
+          } catch (err) {
+            console.error('❌ Error handling bulk-delete event:', err);
+          }
+        });
+
+        // Someone started or stopped editing an item
+        es.addEventListener('item-locked', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🔒 Item-locked event received via SSE:', data.itemId, data.lock?.holder);
+            if (!data.itemId || !data.lock) return;
+            setLocks((prev) => ({ ...prev, [data.itemId]: data.lock }));
+          } catch (err) {
+            console.error('❌ Error handling item-locked event:', err);
+          }
+        });
+
+        es.addEventListener('item-unlocked', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🔓 Item-unlocked event received via SSE:', data.itemId, data.reason);
+            if (!data.itemId) return;
+            setLocks((prev) => {
+              const next = { ...prev };
+              delete next[data.itemId];
+              return next;
+            });
+          } catch (err) {
+            console.error('❌ Error handling item-unlocked event:', err);
+          }
+        });
+
+        // The presenter moved their viewport
+        es.addEventListener('presenter-viewport', (event: any) => {
+          if (!presence.followPresenter || presence.role === 'presenter') return;
+          try {
+            const data = JSON.parse(event.data);
+            if (data.viewport && (window as any).showViewportCenterWorld) {
+              (window as any).showViewportCenterWorld(data.viewport);
+            }
+          } catch (err) {
+            console.error('❌ Error handling presenter-viewport event:', err);
+          }
+        });
+
+        // Whole board replaced on the server (e.g. snapshot restore)
+        es.addEventListener('board-refresh', (event: any) => {
+          try {
+            const data = JSON.parse(event.data);
+            console.log('🔄 Board-refresh event received via SSE:', data.reason);
+            if (Array.isArray(data.items)) {
+              setItems(data.items);
+            }
+          } catch (err) {
+            console.error('❌ Error handling board-refresh event:', err);
+          }
+        });
+
         es.onerror = (error) => {
           console.error('❌ SSE connection error:', error);
+          // The browser reconnects by itself, sending the id of the last
+          // message it got, whatever its name
+          if (es?.readyState === EventSource.CONNECTING) return;
           console.log('🔄 Will attempt to reconnect in 5 seconds...');
           es?.close();
           // Attempt to reconnect after 5 seconds
@@ -352,7 +519,7 @@ function BoardApp() {
         es.close();
       }
     };
-  }, [handleFocusRequest, API_BASE_URL]);
+  }, [handleFocusRequest, resetBoard, presence, API_BASE_URL]);
 
   if (isLoading) {
     return (
@@ -379,6 +546,10 @@ function BoardApp() {
         onFocusRequest={handleFocusRequest}
         onAddItem={addItem}
         onResetBoard={resetBoard}
+        locks={locks}
+        actor={actor}
+        onLockItem={lockItem}
+        onUnlockItem={unlockItem}
       />
     </AppContainer>
   );
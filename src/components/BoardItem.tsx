@@ -265,6 +265,21 @@ const DeleteButton = styled.button`
   }
 `;
 
+// Shown while someone else holds the item's edit lock
+const LockBadge = styled.div`
+  position: absolute;
+  top: -28px;
+  left: 0;
+  padding: 3px 8px;
+  border-radius: 10px;
+  background: #ff9800;
+  color: white;
+  font-size: 12px;
+  white-space: nowrap;
+  pointer-events: none;
+  z-index: 10;
+`;
+
 // BoardItemProps interface removed for Storybook compatibility
 
 const BoardItem = ({
@@ -273,6 +288,9 @@ const BoardItem = ({
   onUpdate,
   onDelete,
   onSelect,
+  onDragStart = (_id) => {},
+  onDragEnd = (_id) => {},
+  lock = null,
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
@@ -289,7 +307,7 @@ const BoardItem = ({
         setIsEditing(true);
         setTimeout(() => textareaRef.current?.focus(), 0);
       }
-    } else {
+    } else if (!lock) { // Someone else is editing it
       setIsDragging(true);
       setDragStart({
         x: e.clientX - item.x,
@@ -297,7 +315,19 @@ const BoardItem = ({
       });
       setLastPosition({ x: item.x, y: item.y });
     }
-  }, [item.id, item.type, item.x, item.y, onSelect]);
+  }, [item.id, item.type, item.x, item.y, onSelect, lock]);
+
+  // Hold the item's edit lock for as long as it is dragged
+  const wasDragging = useRef(false);
+  useEffect(() => {
+    if (isDragging === wasDragging.current) return;
+    wasDragging.current = isDragging;
+    if (isDragging) {
+      onDragStart(item.id);
+    } else {
+      onDragEnd(item.id);
+    }
+  }, [isDragging, item.id, onDragStart, onDragEnd]);
 
   const handleMouseUp = useCallback(() => {
     setIsDragging(false);
@@ -395,9 +425,9 @@ const BoardItem = ({
           case 'todo':
             const todo = item.todoData || { title: 'Todos', description: '', todos: [] };
             const total = (todo.todos || []).length;
-            const done = (todo.todos || []).filter((t) => t.status === 'done').length;
+            const done = (todo.todos || []).filter((t) => t.status === 'finished').length;
             const progressPct = total > 0 ? Math.round((done / total) * 100) : 0;
-            const statusColor = (status) => status === 'done' ? '#10b981' : status === 'in_progress' ? '#f59e0b' : '#64748b';
+            const statusColor = (status) => status === 'finished' ? '#10b981' : status === 'executing' ? '#f59e0b' : '#64748b';
             return (
               <TodoCard>
                 <TodoHeader>
@@ -413,10 +443,10 @@ const BoardItem = ({
                   </ProgressBar>
                   <TodoList>
                     {(todo.todos || []).map((t, idx) => (
-                      <TodoItem key={idx}>
+                      <TodoItem key={t.id || idx}>
                         <span>{t.text}</span>
                         <StatusChip style={{ background: statusColor(t.status) }}>
-                          {t.status === 'done' ? 'DONE' : t.status === 'in_progress' ? 'DOING' : 'TODO'}
+                          {t.status === 'finished' ? 'DONE' : t.status === 'executing' ? 'DOING' : 'TODO'}
                         </StatusChip>
                       </TodoItem>
                     ))}
@@ -556,7 +586,11 @@ const BoardItem = ({
         minHeight: (item.type === 'agent' || item.type === 'todo' || item.type === 'lab-result' || item.type === 'component') ? (item.height === 'auto' ? '200px' : item.height) : 'auto',
         transform: `rotate(${item.rotation}deg)`,
         backgroundColor: item.color,
-        border: isSelected ? '2px solid #2196f3' : '1px solid rgba(0,0,0,0.1)',
+        border: isSelected
+          ? '2px solid #2196f3'
+          : lock
+            ? '2px dashed #ff9800'
+            : '1px solid rgba(0,0,0,0.1)',
         boxShadow: isSelected
           ? '0 4px 20px rgba(33, 150, 243, 0.3)'
           : '0 2px 8px rgba(0,0,0,0.1)',
@@ -574,6 +608,7 @@ const BoardItem = ({
       whileTap={{ scale: 0.98 }}
     >
       {renderContent()}
+      {lock && <LockBadge>✏️ Being edited by {lock.holder}</LockBadge>}
       {isSelected && (
         <DeleteButton
           onClick={(e) => {
@@ -73,6 +73,10 @@ const Canvas = ({
   onFocusRequest,
   onAddItem,
   onResetBoard,
+  locks = {},
+  actor = 'canvas',
+  onLockItem = (_id) => {},
+  onUnlockItem = (_id) => {},
 }) => {
   const canvasRef = useRef(null);
   const [viewport, setViewport] = useState({ x: 0, y: 0, zoom: 1 });
@@ -80,6 +84,12 @@ const Canvas = ({
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [lastPanPoint, setLastPanPoint] = useState({ x: 0, y: 0 });
 
+  // Only locks held by someone else get a badge
+  const othersLock = (itemId) => {
+    const lock = locks[itemId];
+    return lock && lock.holder !== actor ? lock : null;
+  };
+
   // Handle viewport changes
   const updateViewport = useCallback((newViewport) => {
     setViewport(newViewport);
@@ -311,13 +321,13 @@ const Canvas = ({
         try {
           await fetch(`/api/board-items/${itemId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-Actor': actor },
             body: JSON.stringify({ x: newX, y: newY })
           });
         } catch (_) { /* ignore */ }
       } catch (_) { /* ignore */ }
     };
-  }, [items, viewport, onUpdateItem]);
+  }, [items, viewport, onUpdateItem, actor]);
 
   // Expose a getter for current viewport center in world coordinates
   useEffect(() => {
@@ -332,6 +342,19 @@ const Canvas = ({
     };
   }, [viewport]);
 
+  // Show the area around a world-coordinate center (follow-the-presenter)
+  useEffect(() => {
+    (window as any).showViewportCenterWorld = ({ x, y, zoom }: { x: number; y: number; zoom: number }) => {
+      const container = canvasRef.current?.parentElement as HTMLElement | null;
+      if (!container) return;
+      updateViewport({
+        x: container.clientWidth / 2 - x * zoom,
+        y: container.clientHeight / 2 - y * zoom,
+        zoom,
+      });
+    };
+  }, [updateViewport]);
+
   return (
     <CanvasContainer
       onWheel={handleWheel}
@@ -379,6 +402,9 @@ const Canvas = ({
               onUpdate={onUpdateItem}
               onDelete={onDeleteItem}
               onSelect={onSelectItem}
+              onDragStart={onLockItem}
+              onDragEnd={onUnlockItem}
+              lock={othersLock(item.id)}
             />
           ))}
         </AnimatePresence>
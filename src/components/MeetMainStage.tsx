@@ -3,6 +3,7 @@ import styled from 'styled-components';
 import { meet } from '@googleworkspace/meet-addons/meet.addons';
 import Canvas from './Canvas';
 import boardItemsData from '../data/boardItems.json';
+import { usePresence } from '../usePresence';
 
 const MainStageContainer = styled.div`
   width: 100vw;
@@ -52,6 +53,10 @@ const MeetMainStage: React.FC = () => {
   // API base URL
   const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://patientcanvas-ai.vercel.app';
 
+  // The main stage is what everyone in the call sees, so it follows the
+  // presenter's viewport
+  usePresence({ apiBaseUrl: API_BASE_URL, name: 'Meet main stage', role: 'viewer', clientType: 'main-stage' });
+
   const handleFocusRequest = useCallback((itemId: string) => {
     console.log('🎯 Focus requested for item:', itemId);
     setSelectedItemId(itemId);
@@ -103,21 +108,33 @@ const MeetMainStage: React.FC = () => {
       console.log('✅ SSE connected - will receive real-time updates');
     });
 
-    eventSource.addEventListener('focus-item', (event) => {
+    eventSource.addEventListener('focus', (event) => {
       try {
         const data = JSON.parse(event.data);
         console.log('🎯 Focus event received:', data);
-        if (data.objectId) {
-          console.log('🎯 Setting selected item to:', data.objectId);
-          setSelectedItemId(data.objectId);
+        const targetId = data.itemId || data.objectId;
+        if (targetId) {
+          console.log('🎯 Setting selected item to:', targetId);
+          setSelectedItemId(targetId);
           // Trigger focus animation in Canvas
-          handleFocusRequest(data.objectId);
+          handleFocusRequest(targetId);
         }
       } catch (err) {
         console.error('Error parsing focus event:', err);
       }
     });
 
+    eventSource.addEventListener('presenter-viewport', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.viewport && (window as any).showViewportCenterWorld) {
+          (window as any).showViewportCenterWorld(data.viewport);
+        }
+      } catch (err) {
+        console.error('Error parsing presenter-viewport event:', err);
+      }
+    });
+
     eventSource.addEventListener('new-item', (event) => {
       try {
         const data = JSON.parse(event.data);
@@ -140,10 +157,10 @@ const MeetMainStage: React.FC = () => {
       try {
         const data = JSON.parse(event.data);
         console.log('🔄 Update item event received:', data);
-        if (data.id) {
+        if (data.itemId && data.item) {
           setItems(prevItems => 
             prevItems.map(item => 
-              item.id === data.id ? { ...item, ...data.updates } : item
+              item.id === data.itemId ? data.item : item
             )
           );
         }
@@ -156,9 +173,9 @@ const MeetMainStage: React.FC = () => {
       try {
         const data = JSON.parse(event.data);
         console.log('🗑️ Delete item event received:', data);
-        if (data.id) {
-          setItems(prevItems => prevItems.filter(item => item.id !== data.id));
-          if (selectedItemId === data.id) {
+        if (data.itemId) {
+          setItems(prevItems => prevItems.filter(item => item.id !== data.itemId));
+          if (selectedItemId === data.itemId) {
             setSelectedItemId(null);
           }
         }
@@ -167,6 +184,48 @@ const MeetMainStage: React.FC = () => {
       }
     });
 
+    eventSource.addEventListener('bulk-delete', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        console.log('🧹 Bulk delete event received:', data);
+        if (Array.isArray(data.itemIds)) {
+          const removed = new Set(data.itemIds);
+          setItems(prevItems => prevItems.filter(item => !removed.has(item.id)));
+          if (removed.has(selectedItemId)) {
+            setSelectedItemId(null);
+          }
+        }
+      } catch (err) {
+        console.error('Error parsing bulk-delete event:', err);
+      }
+    });
+
+    eventSource.addEventListener('board-refresh', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        console.log('🔄 Board refresh event received:', data.reason);
+        if (Array.isArray(data.items)) {
+          setItems(data.items);
+        }
+      } catch (err) {
+        console.error('Error parsing board-refresh event:', err);
+      }
+    });
+
+    // The browser reconnects with Last-Event-ID; if the missed events are
+    // gone the server asks for a full reload instead
+    eventSource.addEventListener('resync-required', async () => {
+      console.log('⚠️ SSE resync required, reloading board items');
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/board-items`);
+        if (response.ok) {
+          setItems(await response.json());
+        }
+      } catch (err) {
+        console.error('Error reloading board items:', err);
+      }
+    });
+
     eventSource.onerror = (err) => {
       console.error('❌ SSE connection error:', err);
       // Don't close - EventSource auto-reconnects
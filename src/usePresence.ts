@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+
+// Registers this client in the board's presence list (/api/presence) and
+// keeps it alive with heartbeats. A presenter also shares its viewport so
+// clients in follow mode can show the same area.
+
+export type PresenceRole = 'participant' | 'presenter' | 'viewer';
+export type PresenceClientType = 'browser' | 'main-stage' | 'side-panel';
+
+interface PresenceOptions {
+  apiBaseUrl: string;
+  name: string;
+  role?: PresenceRole;
+  clientType: PresenceClientType;
+}
+
+const HEARTBEAT_INTERVAL = 20000;
+const VIEWPORT_INTERVAL = 1000;
+
+export function usePresence({ apiBaseUrl, name, role = 'participant', clientType }: PresenceOptions) {
+  useEffect(() => {
+    let presenceId: string | null = null;
+    let stopped = false;
+    let lastViewport = '';
+
+    const leave = (id: string) => {
+      fetch(`${apiBaseUrl}/api/presence/${id}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+    };
+
+    const join = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/presence`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name, role, clientType })
+        });
+        if (!response.ok) {
+          console.error('❌ Failed to join presence:', response.status);
+          return;
+        }
+        const entry = await response.json();
+        if (stopped) {
+          leave(entry.id);
+          return;
+        }
+        presenceId = entry.id;
+        console.log(`🙋 Joined board presence as ${role}:`, entry.id);
+      } catch (err) {
+        console.error('❌ Error joining presence:', err);
+      }
+    };
+
+    const heartbeat = setInterval(async () => {
+      if (!presenceId) {
+        join();
+        return;
+      }
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/presence/${presenceId}/heartbeat`, { method: 'POST' });
+        // Expired (e.g. the tab was asleep) - join again
+        if (response.status === 404) {
+          presenceId = null;
+          join();
+        }
+      } catch (_) { /* retry on the next beat */ }
+    }, HEARTBEAT_INTERVAL);
+
+    // Presenters send their viewport whenever it changes
+    const shareViewport = setInterval(async () => {
+      if (role !== 'presenter' || !presenceId) return;
+      const viewport = (window as any).getViewportCenterWorld?.();
+      if (!viewport) return;
+
+      const key = JSON.stringify(viewport);
+      if (key === lastViewport) return;
+      lastViewport = key;
+
+      try {
+        await fetch(`${apiBaseUrl}/api/presence/${presenceId}/viewport`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(viewport)
+        });
+      } catch (_) { /* sent again on the next change */ }
+    }, VIEWPORT_INTERVAL);
+
+    const handlePageHide = () => {
+      if (presenceId) leave(presenceId);
+      presenceId = null;
+    };
+    window.addEventListener('pagehide', handlePageHide);
+
+    join();
+
+    return () => {
+      stopped = true;
+      clearInterval(heartbeat);
+      clearInterval(shareViewport);
+      window.removeEventListener('pagehide', handlePageHide);
+      if (presenceId) leave(presenceId);
+    };
+  }, [apiBaseUrl, name, role, clientType]);
+}